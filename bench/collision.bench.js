@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { EntityManager } from '../src/EntityManager.js';
+import * as C from '../src/Components.js';
+import { getOBB, satOBB } from '../src/utils.js';
+import { SpatialGrid } from '../src/SpatialGrid.js';
+
+/**
+ * Collision frame-cost benchmark.
+ *
+ * Builds the default arena's static geometry (floor, 64-segment wall ring, obstacles),
+ * scatters zombies and fireballs inside it, then times one sCollision-style pass
+ * (pair generation + SAT) per frame with the naive all-pairs loop and with SpatialGrid.
+ *
+ * Usage: npm run bench [-- <zombies> <fireballs> <frames>]
+ */
+
+const [ZOMBIES = 200, FIREBALLS = 100, FRAMES = 120] = process.argv.slice(2).map(Number);
+
+const ARENA_RADIUS   = 22;
+const WALL_SEGMENTS  = 64;
+const WALL_THICKNESS = 1.2;
+const WALL_HEIGHT    = 10;
+
+// small deterministic LCG so every run scatters entities identically
+let seed = 1;
+const random = () => (seed = (seed * 1664525 + 1013904223) >>> 0) / 4294967296;
+
+function buildWorld() {
+    const em = new EntityManager();
+
+    const floor = em.addEntity('floor');
+    floor.addComponent(new C.PositionComponent(new THREE.Vector3(0, -5, 0)));
+    floor.addComponent(new C.CollisionComponent(new THREE.Vector3(21.4, 5, 21.4)));
+
+    const segmentWidth = (2 * Math.PI * ARENA_RADIUS) / WALL_SEGMENTS + 0.3;
+    const yAxis = new THREE.Vector3(0, 1, 0);
+    for (let i = 0; i < WALL_SEGMENTS; i++) {
+        const angle = (i / WALL_SEGMENTS) * Math.PI * 2;
+        const wall = em.addEntity('arenaWall');
+        wall.addComponent(new C.PositionComponent(new THREE.Vector3(
+            Math.cos(angle) * ARENA_RADIUS, WALL_HEIGHT / 2, Math.sin(angle) * ARENA_RADIUS)));
+        wall.addComponent(new C.CollisionComponent(
+            new THREE.Vector3(segmentWidth / 2, WALL_HEIGHT / 2, WALL_THICKNESS / 2),
+            new THREE.Quaternion().setFromAxisAngle(yAxis, -angle - Math.PI / 2)));
+    }
+
+    for (const [x, z, w, d] of [[-7, -5, 2, 2], [7, -5, 2, 2], [-7, 5, 2, 2], [7, 5, 2, 2], [0, -12, 6, 1], [0, 12, 6, 1]]) {
+        const box = em.addEntity('staticBoxEntity');
+        box.addComponent(new C.PositionComponent(new THREE.Vector3(x, 3, z)));
+        box.addComponent(new C.CollisionComponent(new THREE.Vector3(w / 2, 3, d / 2)));
+    }
+
+    const scatter = (tag, half, y, layers) => {
+        const e = em.addEntity(tag);
+        const angle = random() * Math.PI * 2;
+        const dist  = Math.sqrt(random()) * (ARENA_RADIUS - 2);
+        e.addComponent(new C.PositionComponent(new THREE.Vector3(Math.cos(angle) * dist, y, Math.sin(angle) * dist)));
+        e.addComponent(new C.VelocityComponent(new THREE.Vector3((random() - 0.5) * 4, 0, (random() - 0.5) * 4)));
+        e.addComponent(new C.CollisionComponent(half, new THREE.Quaternion(), layers));
+    };
+    const { ENEMY, PROJECTILE, WORLD, ALL } = C.CollisionLayer;
+    for (let i = 0; i < ZOMBIES; i++)   scatter('zombie',   new THREE.Vector3(0.5, 0.75, 0.5), 0.75, { layer: ENEMY, mask: ALL });
+    for (let i = 0; i < FIREBALLS; i++) scatter('fireball', new THREE.Vector3(0.3, 0.3, 0.3), 1.5,  { layer: PROJECTILE, mask: WORLD | ENEMY | PROJECTILE });
+
+    em.update();
+    return em;
+}
+
+const isDynamic = (e) => e.hasComponent('VelocityComponent');
+const interacts = (a, b) => a.getComponent('CollisionComponent').interactsWith(b.getComponent('CollisionComponent'));
+
+function naivePairs(entities) {
+    const pairs = [];
+    for (let i = 0; i < entities.length; i++) {
+        for (let j = i + 1; j < entities.length; j++) pairs.push([entities[i], entities[j]]);
+    }
+    return pairs;
+}
+
+/**
+ * Runs FRAMES collision passes, drifting every dynamic entity between frames.
+ * @returns {{ ms: number, tested: number, hits: number }} Average cost and pair counts per frame.
+ */
+function run(label, em, getPairs, getBox) {
+    let tested = 0, hits = 0;
+    const start = performance.now();
+    for (let f = 0; f < FRAMES; f++) {
+        const entities = em.getWithComponentName('CollisionComponent', 'PositionComponent');
+        for (const [a, b] of getPairs(entities)) {
+            tested++;
+            // static-vs-static contacts (e.g. overlapping wall segments) and masked-out layers are never resolved
+            if (satOBB(getBox(a), getBox(b)) && (isDynamic(a) || isDynamic(b)) && interacts(a, b)) hits++;
+        }
+        for (const e of em.getWithComponentName('PositionComponent', 'VelocityComponent')) {
+            e.getComponent('PositionComponent').position.addScaledVector(e.getComponent('VelocityComponent').velocity, 1 / 60);
+        }
+    }
+    const ms = (performance.now() - start) / FRAMES;
+    console.log(`${label.padEnd(12)} ${ms.toFixed(3).padStart(9)} ms/frame  ${String(Math.round(tested / FRAMES)).padStart(7)} SAT tests/frame  ${Math.round(hits / FRAMES)} contacts/frame`);
+    return { ms, tested, hits };
+}
+
+const staticCount = 1 + WALL_SEGMENTS + 6;
+console.log(`Collision benchmark: ${staticCount} static, ${ZOMBIES} zombies, ${FIREBALLS} fireballs, ${FRAMES} frames\n`);
+
+seed = 1;
+const naive = run('all pairs', buildWorld(), naivePairs, getOBB);
+
+seed = 1;
+const grid = new SpatialGrid();
+const broad = run('SpatialGrid', buildWorld(), (entities) => grid.getPairs(entities), (e) => grid.getOBB(e));
+
+if (naive.hits !== broad.hits) {
+    console.error(`\nContact count mismatch: all pairs found ${naive.hits}, SpatialGrid found ${broad.hits}`);
+    process.exitCode = 1;
+} else {
+    console.log(`\nSpeed-up: ${(naive.ms / broad.ms).toFixed(1)}x`);
+}
@@ -0,0 +1,135 @@
+import * as THREE from 'three';
+import { EntityManager } from '../src/EntityManager.js';
+import * as C from '../src/Components.js';
+
+/**
+ * Entity query benchmark.
+ *
+ * Fills an EntityManager with a ScenePlay-like mix of static geometry, zombies and
+ * projectiles, then times the component queries ScenePlay makes in one simulation step
+ * while entities spawn, die and get frozen between steps. Each size is run twice: filtering
+ * the entity list on every query (how getWithComponentName used to work) and with
+ * EntityManager's cached queries. Both must return the same entities.
+ *
+ * Usage: npm run bench:entities [-- <frames> <sizes...>]
+ */
+
+const [FRAMES = 300, ...SIZES] = process.argv.slice(2).map(Number);
+if (SIZES.length === 0) SIZES.push(1000, 10000);
+
+// the queries one ScenePlay simulation step makes, in order
+const FRAME_QUERIES = [
+    ['InputComponent'],
+    ['SpellbookComponent'],
+    ['ManaComponent'],
+    ['HealthComponent', 'PositionComponent', 'CollisionComponent'],
+    ['PositionComponent', 'VelocityComponent'],
+    ['PositionComponent', 'VelocityComponent', 'GravityComponent'],
+    ['PositionComponent', 'VelocityComponent'],
+    ['CollisionComponent', 'PositionComponent'],
+    ['LifespanComponent'],
+    ['FrozenComponent'],
+    ['AnimationComponent'],
+    ['PositionComponent'],
+];
+
+// share of the entity count that spawns, dies and is frozen each step
+const CHURN  = 0.005;
+const FREEZE = 0.002;
+
+// small deterministic LCG so both runs see identical worlds and churn
+let seed = 1;
+const random = () => (seed = (seed * 1664525 + 1013904223) >>> 0) / 4294967296;
+
+function addZombie(em) {
+    const e = em.addEntity('zombie');
+    e.addComponent(new C.PositionComponent(new THREE.Vector3(random() * 40 - 20, 0.75, random() * 40 - 20)));
+    e.addComponent(new C.VelocityComponent());
+    e.addComponent(new C.GravityComponent());
+    e.addComponent(new C.CollisionComponent());
+    e.addComponent(new C.HealthComponent(30));
+    e.addComponent(new C.PathComponent());
+    e.addComponent(new C.AnimationComponent(null));
+}
+
+function addProjectile(em) {
+    const e = em.addEntity('fireball');
+    e.addComponent(new C.PositionComponent(new THREE.Vector3(random() * 40 - 20, 1.5, random() * 40 - 20)));
+    e.addComponent(new C.VelocityComponent());
+    e.addComponent(new C.CollisionComponent());
+    e.addComponent(new C.LifespanComponent(2));
+}
+
+function addStatic(em) {
+    const e = em.addEntity('staticBoxEntity');
+    e.addComponent(new C.PositionComponent(new THREE.Vector3(random() * 40 - 20, 3, random() * 40 - 20)));
+    e.addComponent(new C.CollisionComponent());
+}
+
+const spawners = [addZombie, addZombie, addProjectile, addStatic];
+
+function buildWorld(size) {
+    const em = new EntityManager();
+    const player = em.addEntity('wizardEntity');
+    player.addComponent(new C.InputComponent());
+    player.addComponent(new C.PositionComponent());
+    player.addComponent(new C.VelocityComponent());
+    player.addComponent(new C.HealthComponent(100));
+    player.addComponent(new C.SpellbookComponent(['fireball']));
+    player.addComponent(new C.ManaComponent());
+    for (let i = 1; i < size; i++) spawners[i % spawners.length](em);
+    em.update();
+    return em;
+}
+
+// getWithComponentName as it was before queries were cached
+const filterQuery = (em, names) =>
+    em.getEntities().filter(e => e.isActive() && names.every(n => e.hasComponent(n)));
+const cachedQuery = (em, names) => em.getWithComponentName(...names);
+
+/**
+ * Runs FRAMES simulation steps of queries plus churn.
+ * @returns {{ ms: number, checksum: number }} Average cost per step and a digest of every query result.
+ */
+function run(label, size, query) {
+    seed = size;
+    const em = buildWorld(size);
+    let checksum = 0;
+    const start = performance.now();
+    for (let f = 0; f < FRAMES; f++) {
+        em.update();
+        for (const names of FRAME_QUERIES) {
+            // sum the ids so the result is used and both runs can be compared; order may differ
+            for (const e of query(em, names)) checksum = (checksum + e.id * (f + 1)) % 1000000007;
+        }
+
+        const entities = em.getEntities();
+        for (let i = 0; i < size * CHURN; i++) {
+            const victim = entities[Math.floor(random() * entities.length)];
+            if (victim.hasComponent('InputComponent')) continue;
+            victim.destroy();
+            spawners[Math.floor(random() * spawners.length)](em);
+        }
+        for (let i = 0; i < size * FREEZE; i++) {
+            const target = entities[Math.floor(random() * entities.length)];
+            if (target.hasComponent('FrozenComponent')) target.removeComponent('FrozenComponent');
+            else target.addComponent(new C.FrozenComponent(1));
+        }
+    }
+    const ms = (performance.now() - start) / FRAMES;
+    console.log(`${String(size).padStart(6)} entities  ${label.padEnd(8)} ${ms.toFixed(4).padStart(9)} ms/step`);
+    return { ms, checksum };
+}
+
+console.log(`Entity query benchmark: ${FRAME_QUERIES.length} queries per step, ${FRAMES} steps\n`);
+
+for (const size of SIZES) {
+    const filtered = run('filter', size, filterQuery);
+    const cached   = run('cached', size, cachedQuery);
+    if (filtered.checksum !== cached.checksum) {
+        console.error(`Query result mismatch at ${size} entities`);
+        process.exitCode = 1;
+    } else {
+        console.log(`${' '.repeat(17)}speed-up ${(filtered.ms / cached.ms).toFixed(1)}x\n`);
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * Asset manifest validation.
+ *
+ * The manifest (src/assets.json) names every file the game can load, with an explicit type
+ * per entry:
+ *
+ * {
+ *   "version": 1,
+ *   "assets": [
+ *     { "name": "wizard",  "type": "model",      "path": "../models/wizard.glb" },
+ *     { "name": "crate",   "type": "texture",    "path": "../textures/crate.jpg" },
+ *     { "name": "brick",   "type": "normalMap",  "path": "../models/brick_normal.jpg" },
+ *     { "name": "stone",   "type": "textureSet",
+ *       "maps": { "albedo": "../textures/stone_albedo.jpg", "normal": "../textures/stone_normal.jpg",
+ *                 "roughness": "../textures/stone_roughness.jpg" } },
+ *     { "name": "default", "type": "font",       "path": "fonts/helvetiker_regular.typeface.json" },
+ *     { "name": "cast",    "type": "audio",      "path": "../sounds/cast.ogg" },
+ *     { "name": "night",   "type": "envMap",     "path": "../env/night.hdr" },
+ *     { "name": "sky",     "type": "envMap",
+ *       "faces": ["px.jpg", "nx.jpg", "py.jpg", "ny.jpg", "pz.jpg", "nz.jpg"] }
+ *   ]
+ * }
+ *
+ * - model:      .stl (BufferGeometry) or .glb/.gltf (scene graph, with its animation clips).
+ * - texture:    an image used as the map of a MeshStandardMaterial.
+ * - normalMap:  an image or .exr used as a raw normal map texture.
+ * - textureSet: a MeshStandardMaterial built from an albedo, normal and roughness map; at
+ *               least one of the three is required.
+ * - font:       a typeface.json font for TextGeometry.
+ * - audio:      a sound clip decoded to an AudioBuffer.
+ * - envMap:     an environment map, either one equirectangular image (.hdr, .exr or an
+ *               ordinary image) in "path" or six cube faces in "faces", ordered +x, -x, +y, -y, +z, -z.
+ *
+ * Names are unique across the manifest; they are what scenes list in requiredAssets() and
+ * what levels, spells and enemies refer to.
+ */
+
+// version of the manifest schema this build reads
+export const MANIFEST_VERSION = 1;
+
+// file extensions accepted for each single-file asset type
+const IMAGE = ['jpg', 'jpeg', 'png', 'webp'];
+const EXTENSIONS = {
+    model:     ['stl', 'glb', 'gltf'],
+    texture:   IMAGE,
+    normalMap: [...IMAGE, 'exr'],
+    font:      ['json'],
+    audio:     ['mp3', 'ogg', 'wav', 'm4a'],
+    envMap:    [...IMAGE, 'hdr', 'exr'],
+};
+
+// entry types a manifest can declare
+export const ASSET_TYPES = [...Object.keys(EXTENSIONS), 'textureSet'];
+
+// maps a texture set may combine
+const TEXTURE_SET_MAPS = ['albedo', 'normal', 'roughness'];
+
+/**
+ * Validates a parsed asset manifest and returns its entries in a normalised form:
+ * { name, type, path } for single-file types, { name, type: 'textureSet', maps } with every
+ * map key present (null if unused), and { name, type: 'envMap', faces } for cube maps.
+ * @param {Object} json              - Parsed contents of the manifest.
+ * @param {string} [source='assets'] - Name used to prefix error messages.
+ * @returns {{version: number, assets: Object[]}}
+ * @throws {Error} If the version is unsupported or an entry is malformed.
+ */
+export function parseManifest(json, source = 'assets') {
+    const fail = (field, message) => {
+        throw new Error(`Asset manifest "${source}": "${field}" ${message}`);
+    };
+
+    if (Array.isArray(json)) {
+        fail('version', `is missing; the manifest must be an object like { "version": ${MANIFEST_VERSION}, "assets": [...] }`);
+    }
+    if (json === null || typeof json !== 'object') {
+        fail('(root)', `must be an object, got ${JSON.stringify(json)}`);
+    }
+    if (json.version !== MANIFEST_VERSION) {
+        fail('version', `must be ${MANIFEST_VERSION}, got ${JSON.stringify(json.version)}`);
+    }
+    if (!Array.isArray(json.assets)) {
+        fail('assets', `must be an array, got ${JSON.stringify(json.assets)}`);
+    }
+
+    const path = (value, field, extensions) => {
+        if (typeof value !== 'string' || !value) fail(field, `must be a non-empty file path, got ${JSON.stringify(value)}`);
+        const ext = value.split('.').pop().toLowerCase();
+        if (!extensions.includes(ext)) fail(field, `must be a ${extensions.map(e => '.' + e).join('/')} file, got "${value}"`);
+        return value;
+    };
+
+    const names = new Set();
+    const assets = json.assets.map((entry, i) => {
+        let field = `assets[${i}]`;
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+            fail(field, `must be an object, got ${JSON.stringify(entry)}`);
+        }
+
+        const { name, type } = entry;
+        if (typeof name !== 'string' || !name) fail(`${field}.name`, `must be a non-empty string, got ${JSON.stringify(name)}`);
+        if (names.has(name)) fail(`${field}.name`, `"${name}" is already used by another entry`);
+        names.add(name);
+        field = `assets[${i}] (${name})`;
+
+        if (!ASSET_TYPES.includes(type)) {
+            fail(`${field}.type`, `must be one of ${ASSET_TYPES.join(', ')}, got ${JSON.stringify(type)}`);
+        }
+
+        if (type === 'textureSet') {
+            const maps = entry.maps;
+            if (maps === null || typeof maps !== 'object' || Array.isArray(maps)) {
+                fail(`${field}.maps`, `must be an object, got ${JSON.stringify(maps)}`);
+            }
+            const unknown = Object.keys(maps).find(key => !TEXTURE_SET_MAPS.includes(key));
+            if (unknown) fail(`${field}.maps.${unknown}`, `is not a texture set map (expected ${TEXTURE_SET_MAPS.join(', ')})`);
+            if (!TEXTURE_SET_MAPS.some(key => maps[key] != null)) {
+                fail(`${field}.maps`, `must set at least one of ${TEXTURE_SET_MAPS.join(', ')}`);
+            }
+            const normalised = {};
+            for (const key of TEXTURE_SET_MAPS) {
+                normalised[key] = maps[key] == null ? null : path(maps[key], `${field}.maps.${key}`, key === 'normal' ? EXTENSIONS.normalMap : IMAGE);
+            }
+            return { name, type, maps: normalised };
+        }
+
+        if (type === 'envMap' && entry.faces !== undefined) {
+            if (entry.path !== undefined) fail(field, 'must set either "path" or "faces", not both');
+            if (!Array.isArray(entry.faces) || entry.faces.length !== 6) {
+                fail(`${field}.faces`, `must be an array of 6 image paths (+x, -x, +y, -y, +z, -z), got ${JSON.stringify(entry.faces)}`);
+            }
+            return { name, type, faces: entry.faces.map((face, f) => path(face, `${field}.faces[${f}]`, IMAGE)) };
+        }
+
+        return { name, type, path: path(entry.path, `${field}.path`, EXTENSIONS[type]) };
+    });
+
+    return { version: json.version, assets };
+}
@@ -1,18 +1,45 @@
 import * as THREE from 'three';
 import assetsFile from './assets.json' assert { type: 'json' };
+import { parseManifest } from './AssetManifest.js';
 import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { HDRLoader } from 'three/examples/jsm/loaders/HDRLoader.js';
 import { FontLoader } from 'three/examples/jsm/loaders/FontLoader.js';
 import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
 
+// a manifest entry that has not loaded after this many milliseconds counts as failed
+const LOAD_TIMEOUT_MS = 15000;
+
+// the validated manifest entries by name; a malformed assets.json fails here, at startup
+const manifest = new Map(parseManifest(assetsFile, 'src/assets.json').assets.map(entry => [entry.name, entry]));
+
+/**
+ * Rejects if the promise has not settled within ms milliseconds.
+ * @param {Promise} promise
+ * @param {number} ms
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms / 1000}s`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Central asset registry for the game.
  *
- * Supports loading textures (→ MeshStandardMaterial), STL geometry, and GLTF/GLB models.
- * Assets are stored in named maps and retrieved with getter methods.
- * Call loadFromFile() to bulk-load assets from a manifest, or use addMaterial()/addGeometry()
- * directly for one-off loads.
+ * Supports every asset type of the manifest (see AssetManifest.js): STL and GLTF/GLB models,
+ * textures and texture sets (→ MeshStandardMaterial), normal maps, fonts, audio clips and
+ * environment maps. Assets are stored in named maps and retrieved with getter methods.
+ * Call loadAssets() to bulk-load the whole manifest, or use addMaterial()/addGeometry()
+ * directly for one-off loads. Manifest entries can also be loaded on demand by name with
+ * load(), which is how scene transitions fetch the assets a scene declares it needs.
+ *
+ * Entries load concurrently. One that errors or times out is reported and skipped: its getter
+ * returns null, and factories fall back to primitive meshes.
  */
 export class Assets {
     constructor() {
@@ -21,62 +48,146 @@ export class Assets {
         this.textures = {};
         this.geometries = {};
         this.normalMaps = {};
-
-        // for future use
-        this.fonts = {}; 
+        this.envMaps = {};
+        this.fonts = {};
         this.animations = {};
         this.sounds = {};
 
+        // every geometry, material and texture owned by the registry; scenes must not dispose these
+        this.shared = new Set();
+
+        // names of manifest entries that have finished loading, entries that failed (name ->
+        // error message) and loads in flight by name
+        this.loaded  = new Set();
+        this.failed  = new Map();
+        this.pending = new Map();
+
         // loaders are created once and reused for multiple assets
         this.textureLoader = new THREE.TextureLoader();
         this.exrLoader = new EXRLoader();
+        this.hdrLoader = new HDRLoader();
+        this.cubeLoader = new THREE.CubeTextureLoader();
+        this.audioLoader = new THREE.AudioLoader();
         this.stlLoader = new STLLoader();
         this.gltfLoader = new GLTFLoader();
     }
 
     /**
      * Loads every asset described in assets.json and stores them in the appropriate maps.
-     * The manifest file must be a JSON array of objects with the following properties:
-     * - type: ASSET_TYPE (e.g. "MATERIAL", "GEOMETRY")
-     * - name: ASSET_NAME (key to store the loaded asset under)
-     * - path: ASSET_FILE_PATH (URL or path to the asset file)
-     * @returns {Promise<void>} Resolves when all assets have finished loading.
-     */
-    async loadAssets() {
-        for (const asset of assetsFile) {
-            const { name, geometryPath, materialPath, normalMapPath, fontPath } = asset;
-
-            if (materialPath) {
-                await this.addMaterial(name, materialPath);
-            }
+     * The manifest format is documented in AssetManifest.js.
+     * @param {function(Object): void} [onProgress] - See load().
+     * @returns {Promise<{loaded: string[], failed: Array<{name: string, error: string}>}>} See load().
+     */
+    loadAssets(onProgress) {
+        return this.load([...manifest.keys()], onProgress);
+    }
 
-            if (geometryPath) {
-                await this.addGeometry(name, geometryPath);
-            }
+    /**
+     * Loads the manifest entries with the given names concurrently, skipping any already loaded
+     * or failed. An entry that errors or takes longer than LOAD_TIMEOUT_MS is recorded as failed
+     * rather than rejecting, so a missing file never blocks a scene; failures are summarised
+     * in one console warning. If a timed-out entry finishes loading later anyway, it moves
+     * from failed to loaded, so the registry never reports as failed an asset its getter returns.
+     * @param {string[]} names - Names of entries in assets.json; unknown names are ignored.
+     * @param {function({loaded: number, failed: number, total: number, name: string}): void} [onProgress] -
+     *        Called as each entry finishes, with how many of this call's entries are done
+     *        (loaded counts failures too) and how many of those failed.
+     * @returns {Promise<{loaded: string[], failed: Array<{name: string, error: string}>}>}
+     *          Resolves once every entry has loaded or failed.
+     */
+    async load(names, onProgress) {
+        const entries = this.missing(names).map(name => manifest.get(name));
+        const result = { loaded: [], failed: [] };
+        let done = 0;
 
-            if (normalMapPath) {
-                await this.addNormalMap(name, normalMapPath);
+        await Promise.all(entries.map(async asset => {
+            if (!this.pending.has(asset.name)) {
+                const loading = this._loadEntry(asset);
+                this.pending.set(asset.name, withTimeout(loading, LOAD_TIMEOUT_MS));
+                // a load that finishes after timing out has still stored its asset: count it as loaded
+                loading.then(() => {
+                    if (this.failed.delete(asset.name)) this.loaded.add(asset.name);
+                }, () => {});
             }
-
-            if (fontPath) {
-                await this.addFont(name, fontPath);
+            try {
+                await this.pending.get(asset.name);
+                this.loaded.add(asset.name);
+                result.loaded.push(asset.name);
+            } catch (err) {
+                this.failed.set(asset.name, err.message);
+                result.failed.push({ name: asset.name, error: err.message });
             }
+            this.pending.delete(asset.name);
+            onProgress?.({ loaded: ++done, failed: result.failed.length, total: entries.length, name: asset.name });
+        }));
+
+        if (result.failed.length > 0) {
+            const list = result.failed.map(({ name, error }) => `  ${name}: ${error}`).join('\n');
+            console.warn(`Assets: ${result.failed.length} of ${entries.length} assets failed to load; placeholders will be used:\n${list}`);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the names among the given ones that are in the manifest and have neither loaded
+     * nor failed yet.
+     * @param {string[]} names
+     * @returns {string[]}
+     */
+    missing(names) {
+        return [...new Set(names)].filter(name =>
+            !this.loaded.has(name) && !this.failed.has(name) && manifest.has(name));
+    }
+
+    // loads a manifest entry with the add method for its type
+    _loadEntry(entry) {
+        switch (entry.type) {
+            case 'model':      return this.addGeometry(entry.name, entry.path);
+            case 'texture':    return this.addMaterial(entry.name, entry.path);
+            case 'normalMap':  return this.addNormalMap(entry.name, entry.path);
+            case 'textureSet': return this.addTextureSet(entry.name, entry.maps);
+            case 'font':       return this.addFont(entry.name, entry.path);
+            case 'audio':      return this.addSound(entry.name, entry.path);
+            case 'envMap':     return this.addEnvMap(entry.name, entry.faces ?? entry.path);
         }
     }
 
+    // loads one texture, rejecting with the path if it fails
+    _loadTexture(path, loader = this.textureLoader) {
+        return new Promise((resolve, reject) => {
+            loader.load(path, resolve, undefined, () => reject(new Error(`texture "${path}" could not be loaded`)));
+        });
+    }
+
 
     /**
      * Loads a texture from the given path and stores a MeshStandardMaterial under name.
      * @param {string} name - Key to store the material under.
      * @param {string} path - URL or path to the image file.
-     * @returns {Promise<void>} Resolves when the texture has loaded.
+     * @returns {Promise<void>} Resolves when the texture has loaded; rejects if it fails, and
+     *          the material is not stored.
      */
-    addMaterial(name, material) {
-        return new Promise((resolve) => {
-            const texture = this.textureLoader.load(material, resolve, undefined,
-                (err) => console.error(`Assets: failed to load texture "${material}"`, err));
-            this.textures[name] = new THREE.MeshStandardMaterial({ map: texture });
-        });
+    async addMaterial(name, material) {
+        const texture = await this._loadTexture(material);
+        this.textures[name] = new THREE.MeshStandardMaterial({ map: texture });
+        this._markShared(this.textures[name]);
+    }
+
+    /**
+     * Loads the maps of a texture set and stores a MeshStandardMaterial combining them under
+     * name, retrievable with getMaterial().
+     * @param {string} name - Key to store the material under.
+     * @param {{albedo: string|null, normal: string|null, roughness: string|null}} maps - Image paths; null skips a map.
+     * @returns {Promise<void>} Resolves when every map has loaded; rejects if any fails, and
+     *          the material is not stored.
+     */
+    async addTextureSet(name, { albedo, normal, roughness }) {
+        const load = path => path ? this._loadTexture(path, path.toLowerCase().endsWith('.exr') ? this.exrLoader : this.textureLoader) : null;
+        const [map, normalMap, roughnessMap] = await Promise.all([load(albedo), load(normal), load(roughness)]);
+        if (map) map.colorSpace = THREE.SRGBColorSpace;
+
+        this.textures[name] = new THREE.MeshStandardMaterial({ map, normalMap, roughnessMap });
+        this._markShared(this.textures[name]);
     }
 
     /**
@@ -85,7 +196,8 @@ export class Assets {
      * For GLTF files with animations, the clips are also stored in animationMap.
      * @param {string} name - Key to store the geometry/scene under.
      * @param {string} path - URL or path to the model file.
-     * @returns {Promise<THREE.BufferGeometry|THREE.Group|null>} Resolves with the loaded asset.
+     * @returns {Promise<THREE.BufferGeometry|THREE.Group|null>} Resolves with the loaded asset;
+     *          rejects if the file fails to load.
      */
     addGeometry(name, geometryPath) {
 
@@ -97,12 +209,10 @@ export class Assets {
                     geometry.center();
                     geometry.computeBoundingSphere();
                     this.geometries[name] = geometry;
+                    this._markShared(geometry);
                     resolve(geometry);
                     console.log(`Assets: loaded STL geometry "${name}" from "${geometryPath}"`);
-                }, undefined, (err) => {
-                    console.error(`Assets: failed to load STL "${geometryPath}"`, err);
-                    reject(err);
-                });
+                }, undefined, () => reject(new Error(`STL "${geometryPath}" could not be loaded`)));
             });
         }
 
@@ -110,13 +220,11 @@ export class Assets {
             return new Promise((resolve, reject) => {
                 this.gltfLoader.load(geometryPath, (gltf) => {
                     this.geometries[name] = gltf.scene;
+                    this._markShared(gltf.scene);
                     if (gltf.animations?.length) this.animations[name] = gltf.animations;
                     resolve(gltf.scene);
                     console.log(`Assets: loaded GLTF model "${name}" from "${geometryPath}"`);
-                }, undefined, (err) => {
-                    console.error(`Assets: failed to load GLTF "${geometryPath}"`, err);
-                    reject(err);
-                });
+                }, undefined, () => reject(new Error(`GLTF "${geometryPath}" could not be loaded`)));
             });
         }
 
@@ -128,13 +236,53 @@ export class Assets {
      * Loads a raw texture for use as a normal map and stores it under name.
      * @param {string} name - Key to store the texture under.
      * @param {string} path - URL or path to the image file.
-     * @returns {Promise<void>} Resolves when the texture has loaded.
+     * @returns {Promise<void>} Resolves when the texture has loaded; rejects if it fails, and
+     *          the texture is not stored.
      */
-    addNormalMap(name, path) {
+    async addNormalMap(name, path) {
         const loader = path.split('.').pop().toLowerCase() === 'exr' ? this.exrLoader : this.textureLoader;
-        return new Promise((resolve) => {
-            this.normalMaps[name] = loader.load(path, resolve, undefined,
-                (err) => console.error(`Assets: failed to load normal map "${path}"`, err));
+        const texture = await this._loadTexture(path, loader);
+        this.normalMaps[name] = texture;
+        this._markShared(texture);
+    }
+
+    /**
+     * Loads an environment map and stores it under name. A single path is an equirectangular
+     * image (.hdr and .exr load as HDR); an array of six paths is a cube map, ordered
+     * +x, -x, +y, -y, +z, -z. Either is ready to assign to scene.environment or scene.background.
+     * @param {string} name - Key to store the texture under.
+     * @param {string|string[]} source - Equirectangular image path, or six cube face paths.
+     * @returns {Promise<void>} Resolves when the map has loaded; rejects if it fails, and
+     *          the texture is not stored.
+     */
+    async addEnvMap(name, source) {
+        let texture;
+        if (Array.isArray(source)) {
+            texture = await this._loadTexture(source, this.cubeLoader);
+            texture.colorSpace = THREE.SRGBColorSpace;
+        } else {
+            const ext = source.split('.').pop().toLowerCase();
+            const loader = ext === 'hdr' ? this.hdrLoader : ext === 'exr' ? this.exrLoader : this.textureLoader;
+            texture = await this._loadTexture(source, loader);
+            texture.mapping = THREE.EquirectangularReflectionMapping;
+            if (loader === this.textureLoader) texture.colorSpace = THREE.SRGBColorSpace;
+        }
+        this.envMaps[name] = texture;
+        this._markShared(texture);
+    }
+
+    /**
+     * Loads and decodes an audio clip and stores its AudioBuffer under name.
+     * @param {string} name - Key to store the buffer under.
+     * @param {string} path - URL or path to the audio file.
+     * @returns {Promise<void>} Resolves when the clip has decoded; rejects if it fails.
+     */
+    addSound(name, path) {
+        return new Promise((resolve, reject) => {
+            this.audioLoader.load(path, (buffer) => {
+                this.sounds[name] = buffer;
+                resolve();
+            }, undefined, () => reject(new Error(`audio "${path}" could not be loaded`)));
         });
     }
 
@@ -150,10 +298,7 @@ export class Assets {
                     resolve(font);
                 },
                 undefined,
-                (error) => {
-                    console.error("Failed to load font:", error);
-                    reject(error);
-                }
+                () => reject(new Error(`font "${fontPath}" could not be loaded`))
             );
         });
     }
@@ -172,6 +317,20 @@ export class Assets {
      */
     getNormalMap(name) { return this.normalMaps[name] ?? null; }
 
+    /**
+     * Returns the environment map stored under name, or null if not found.
+     * @param {string} name
+     * @returns {THREE.Texture|THREE.CubeTexture|null}
+     */
+    getEnvMap(name) { return this.envMaps[name] ?? null; }
+
+    /**
+     * Returns the decoded audio clip stored under name, or null if not found.
+     * @param {string} name
+     * @returns {AudioBuffer|null}
+     */
+    getSound(name) { return this.sounds[name] ?? null; }
+
     /**
      * Returns the geometry or scene object stored under name, or null if not found.
      * @param {string} name
@@ -185,4 +344,30 @@ export class Assets {
      * @returns {THREE.AnimationClip[]|null}
      */
     getAnimations(name) { return this.animations[name] ?? null; }
+
+    /**
+     * Returns true if a geometry, material or texture belongs to the registry. Such resources
+     * are shared by every scene (models are cloned with their geometry and materials), so a
+     * scene tearing itself down must leave them alone.
+     * @param {THREE.BufferGeometry|THREE.Material|THREE.Texture} resource
+     * @returns {boolean}
+     */
+    isShared(resource) { return this.shared.has(resource); }
+
+    // records a loaded asset, and for materials and models everything they reference, as shared
+    _markShared(asset) {
+        if (asset.isObject3D) {
+            asset.traverse(child => {
+                if (child.geometry) this._markShared(child.geometry);
+                for (const m of [child.material ?? []].flat()) this._markShared(m);
+            });
+            return;
+        }
+        this.shared.add(asset);
+        if (asset.isMaterial) {
+            for (const value of Object.values(asset)) {
+                if (value?.isTexture) this.shared.add(value);
+            }
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+
+// volume channels and their defaults; effects and music are scaled by master
+const DEFAULT_VOLUME = { master: 0.8, effects: 1, music: 0.5 };
+
+/**
+ * Sound playback through the Web Audio API, using Three.js audio objects.
+ *
+ * One AudioListener rides on the camera of the scene at the bottom of the engine's stack,
+ * so positional sounds pan and fade with the player's view. Sounds are routed through two
+ * gain buses, effects and music, under the listener's master volume. GameEngine sets the
+ * three volumes from the player's settings (see Settings.js).
+ *
+ * Browsers only let audio start after a user gesture, so nothing is created until unlock()
+ * is called from the first key press or click. Until then every play method does nothing,
+ * apart from remembering the music to start. Sounds are AudioBuffers loaded by Assets; a
+ * name that is not loaded plays nothing.
+ */
+export class AudioManager {
+    /**
+     * @param {import('./Assets.js').Assets} assets - Source of the decoded clips.
+     */
+    constructor(assets) {
+        this.assets = assets;
+        this.volume = { ...DEFAULT_VOLUME };
+
+        this.listener = null;  // created by unlock()
+        this.buses    = null;  // { effects, music } GainNodes feeding the listener
+        this.camera   = null;  // camera the listener is attached to
+
+        this.music     = null; // looping THREE.Audio of the current track
+        this.musicName = null; // asset name of the track that should be playing
+    }
+
+    /**
+     * Creates the audio context on the first user gesture and starts the music requested so far.
+     * Safe to call on every gesture; only the first call does anything.
+     */
+    unlock() {
+        if (this.listener || typeof window === 'undefined' || !(window.AudioContext || window.webkitAudioContext)) return;
+
+        this.listener = new THREE.AudioListener();
+        const context = this.listener.context;
+        this.buses = { effects: context.createGain(), music: context.createGain() };
+        for (const bus of Object.values(this.buses)) bus.connect(this.listener.getInput());
+        this._applyVolume();
+
+        if (this.camera) this.camera.add(this.listener);
+        const track = this.musicName;
+        this.musicName = null;
+        this.playMusic(track);
+    }
+
+    /**
+     * Moves the listener to a camera; called by GameEngine when the scene stack is replaced.
+     * @param {THREE.Camera|null} camera
+     */
+    setCamera(camera) {
+        this.camera = camera;
+        if (this.listener && camera) camera.add(this.listener);
+    }
+
+    /**
+     * Creates a positional sound on the effects bus, for a scene to add to its graph and
+     * play. Returns null before unlock() or if the clip is not loaded.
+     * @param {string} name - Audio asset name.
+     * @param {Object} [opts]
+     * @param {boolean} [opts.loop=false]
+     * @param {number}  [opts.volume=1]
+     * @param {number}  [opts.refDistance=4] - Distance at which the sound plays at full volume; it fades beyond.
+     * @returns {THREE.PositionalAudio|null}
+     */
+    createPositional(name, { loop = false, volume = 1, refDistance = 4 } = {}) {
+        const buffer = this.assets.getSound(name);
+        if (!this.listener || !buffer) return null;
+
+        const sound = new THREE.PositionalAudio(this.listener);
+        this._route(sound, this.buses.effects);
+        sound.setBuffer(buffer);
+        sound.setLoop(loop);
+        sound.setVolume(volume);
+        sound.setRefDistance(refDistance);
+        return sound;
+    }
+
+    /**
+     * Plays a clip once at a world position. The sound is added to parent (normally the
+     * scene) and removed when it finishes.
+     * @param {string} name - Audio asset name.
+     * @param {THREE.Vector3} position
+     * @param {THREE.Object3D} parent
+     * @param {Object} [opts] - Volume and refDistance, as for createPositional().
+     */
+    playAt(name, position, parent, opts = {}) {
+        const sound = this.createPositional(name, { ...opts, loop: false });
+        if (!sound) return;
+
+        sound.position.copy(position);
+        parent.add(sound);
+        sound.onEnded = () => {
+            sound.isPlaying = false;
+            parent.remove(sound);
+            sound.disconnect();
+        };
+        sound.play();
+    }
+
+    /**
+     * Plays a clip once without position, e.g. interface sounds or the player being hurt.
+     * @param {string} name - Audio asset name.
+     * @param {number} [volume=1]
+     */
+    play(name, volume = 1) {
+        const buffer = this.assets.getSound(name);
+        if (!this.listener || !buffer) return;
+
+        const sound = new THREE.Audio(this.listener);
+        this._route(sound, this.buses.effects);
+        sound.setBuffer(buffer);
+        sound.setVolume(volume);
+        sound.onEnded = () => {
+            sound.isPlaying = false;
+            sound.disconnect();
+        };
+        sound.play();
+    }
+
+    /**
+     * Loops a music track, replacing the current one. Asking for the track already playing
+     * leaves it running; null stops the music.
+     * @param {string|null} name - Audio asset name.
+     */
+    playMusic(name) {
+        if (name === this.musicName) return;
+        this.musicName = name;
+
+        if (this.music) {
+            if (this.music.isPlaying) this.music.stop();
+            this.music.disconnect();
+            this.music = null;
+        }
+
+        const buffer = name ? this.assets.getSound(name) : null;
+        if (!this.listener || !buffer) return;
+
+        this.music = new THREE.Audio(this.listener);
+        this._route(this.music, this.buses.music);
+        this.music.setBuffer(buffer);
+        this.music.setLoop(true);
+        this.music.play();
+    }
+
+    /**
+     * Sets a channel's volume and applies it immediately.
+     * @param {'master'|'effects'|'music'} channel
+     * @param {number} value - 0 (silent) to 1.
+     */
+    setVolume(channel, value) {
+        if (!(channel in DEFAULT_VOLUME)) throw new Error(`Audio: unknown volume channel "${channel}"`);
+        this.volume[channel] = THREE.MathUtils.clamp(value, 0, 1);
+        this._applyVolume();
+    }
+
+    _applyVolume() {
+        if (!this.listener) return;
+        this.listener.setMasterVolume(this.volume.master);
+        this.buses.effects.gain.value = this.volume.effects;
+        this.buses.music.gain.value   = this.volume.music;
+    }
+
+    // sends a sound to a bus instead of straight to the listener
+    _route(sound, bus) {
+        sound.gain.disconnect();
+        sound.gain.connect(bus);
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Gameplay key bindings: which keys and mouse buttons trigger each action.
+ *
+ * Inputs are named by KeyboardEvent.code ('KeyW', 'Space', 'Digit1', ...), `Mouse<button>`
+ * ('Mouse0' is the left button) or a gamepad button code ('PadA', 'PadRT', ...; see Gamepad.js).
+ * An action may have several inputs; an input belongs to at most one action. The shared
+ * `bindings` profile is loaded from localStorage at startup, and ScenePlay builds its action
+ * map from it.
+ */
+
+const STORAGE_KEY = 'wizardArena.bindings';
+
+// gameplay actions in display order, with their menu labels and default inputs
+const ACTIONS = [
+    { name: 'moveForward',  label: 'Move Forward',   keys: ['KeyW', 'ArrowUp'] },
+    { name: 'moveBackward', label: 'Move Backward',  keys: ['KeyS', 'ArrowDown'] },
+    { name: 'moveLeft',     label: 'Move Left',      keys: ['KeyA', 'ArrowLeft'] },
+    { name: 'moveRight',    label: 'Move Right',     keys: ['KeyD', 'ArrowRight'] },
+    { name: 'jump',         label: 'Jump',           keys: ['Space', 'PadA'] },
+    { name: 'attack',       label: 'Cast Spell',     keys: ['Mouse0', 'PadRT'] },
+    { name: 'prevSpell',    label: 'Previous Spell', keys: ['KeyQ', 'PadLB'] },
+    { name: 'nextSpell',    label: 'Next Spell',     keys: ['KeyE', 'PadRB'] },
+    { name: 'pause',        label: 'Pause',          keys: ['KeyP', 'PadStart'] },
+    { name: 'selectSpell1', label: 'Spell 1',        keys: ['Digit1'] },
+    { name: 'selectSpell2', label: 'Spell 2',        keys: ['Digit2'] },
+    { name: 'selectSpell3', label: 'Spell 3',        keys: ['Digit3'] },
+    { name: 'selectSpell4', label: 'Spell 4',        keys: ['Digit4'] },
+    { name: 'selectSpell5', label: 'Spell 5',        keys: ['Digit5'] },
+];
+
+const MOUSE_LABELS = ['Left Click', 'Middle Click', 'Right Click'];
+
+/**
+ * Returns a short human-readable name for an input code (e.g. 'KeyW' → 'W', 'Mouse0' → 'Left Click').
+ * @param {string} code
+ * @returns {string}
+ */
+export function inputLabel(code) {
+    if (code.startsWith('Key'))   return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Mouse')) return MOUSE_LABELS[Number(code.slice(5))] ?? `Mouse ${code.slice(5)}`;
+    if (code.startsWith('Arrow')) return `${code.slice(5)} Arrow`;
+    if (code.startsWith('Pad'))   return `Pad ${code.slice(3)}`;
+    const side = code.match(/^(\w+?)(Left|Right)$/);
+    if (side) return `${side[2]} ${side[1]}`;
+    return code;
+}
+
+/**
+ * A set of action → inputs bindings that can be edited and persisted.
+ */
+export class BindingProfile {
+    /**
+     * @param {Storage|null} [storage] - Where bindings are persisted; defaults to window.localStorage when available.
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.bindings = {}; // action name -> input codes
+        this.reset();
+    }
+
+    /**
+     * Returns every bindable action in display order as { name, label }.
+     * @returns {Array<{name: string, label: string}>}
+     */
+    actions() {
+        return ACTIONS.map(({ name, label }) => ({ name, label }));
+    }
+
+    /**
+     * Returns the input codes bound to an action.
+     * @param {string} action
+     * @returns {string[]}
+     */
+    keysFor(action) {
+        return [...(this.bindings[action] ?? [])];
+    }
+
+    /**
+     * Returns the action an input is bound to, or null if it is unbound.
+     * @param {string} code - Input code.
+     * @returns {string|null}
+     */
+    actionFor(code) {
+        return Object.keys(this.bindings).find(action => this.bindings[action].includes(code)) ?? null;
+    }
+
+    /**
+     * Adds an input to an action, keeping the action's other inputs. An input triggers only
+     * one action, so if another action has it, it is moved from that action: callers should
+     * check actionFor() and confirm the move first.
+     * @param {string} action - Action name (see actions()).
+     * @param {string} code   - Input code.
+     */
+    addInput(action, code) {
+        this._checkAction(action);
+        const previous = this.actionFor(code);
+        if (previous === action) return;
+        if (previous) this.removeInput(previous, code);
+        this.bindings[action].push(code);
+    }
+
+    /**
+     * Removes one input from an action, keeping its other inputs.
+     * @param {string} action - Action name (see actions()).
+     * @param {string} code   - Input code.
+     */
+    removeInput(action, code) {
+        this._checkAction(action);
+        this.bindings[action] = this.bindings[action].filter(k => k !== code);
+    }
+
+    /**
+     * Restores the default bindings (does not save them).
+     */
+    reset() {
+        this.bindings = Object.fromEntries(ACTIONS.map(a => [a.name, [...a.keys]]));
+    }
+
+    /**
+     * Returns the bindings as an input code → action name map, as Scene.registerAction() takes them.
+     * @returns {Object<string, string>}
+     */
+    toActionMap() {
+        const map = {};
+        for (const [action, keys] of Object.entries(this.bindings)) {
+            for (const key of keys) map[key] = action;
+        }
+        return map;
+    }
+
+    /**
+     * Loads saved bindings from storage. Actions missing from the saved profile keep their
+     * defaults; unknown actions and malformed data are ignored.
+     */
+    load() {
+        let saved;
+        try {
+            saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? 'null');
+        } catch (err) {
+            console.warn(`Bindings: ignoring unreadable saved bindings (${err.message})`);
+            return;
+        }
+        if (saved === null || typeof saved !== 'object') return;
+
+        this.reset();
+        for (const [action, keys] of Object.entries(saved)) {
+            if (!(action in this.bindings) || !Array.isArray(keys)) continue;
+            this.bindings[action] = [];
+            for (const key of keys) {
+                if (typeof key === 'string') this.addInput(action, key);
+            }
+        }
+    }
+
+    /**
+     * Writes the bindings to storage.
+     */
+    save() {
+        this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+    }
+
+    _checkAction(action) {
+        if (!(action in this.bindings)) throw new Error(`Bindings: unknown action "${action}"`);
+    }
+}
+
+/** Shared binding profile, loaded from localStorage. */
+export const bindings = new BindingProfile();
+bindings.load();
@@ -0,0 +1,171 @@
+import { FrozenComponent } from './Components.js';
+
+/**
+ * Game rules that react to the collision events emitted by ScenePlay.sCollision.
+ *
+ * Event payloads:
+ * - 'collisionEnter' / 'collisionStay': { a, b, mtv } — mtv points from b toward a.
+ * - 'collisionExit':                    { a, b, mtv: null }
+ * - 'damage' (emitted here):            { source, target, amount }
+ * - 'spellHit' (emitted here):          { spell, projectile, target, position } — target is null for walls
+ * - 'spellChain' (emitted here):        { spell, from, to }
+ *
+ * Each register function subscribes to an EventBus and returns an unsubscribe function.
+ * Rules only touch ECS components, so they run headlessly.
+ */
+
+/**
+ * Applies ContactDamageComponent damage to HealthComponent entities while they touch.
+ * A target whose HealthComponent is still invulnerable is skipped; a hit starts its
+ * invulnerability window. Emits 'damage' for every hit.
+ * @param {import('./EventBus.js').EventBus} events
+ * @returns {function(): void} Unsubscribes the rule.
+ */
+export function registerContactDamage(events) {
+    const onContact = ({ a, b }) => {
+        applyContactDamage(events, a, b);
+        applyContactDamage(events, b, a);
+    };
+    const offEnter = events.on('collisionEnter', onContact);
+    const offStay  = events.on('collisionStay', onContact);
+    return () => { offEnter(); offStay(); };
+}
+
+function applyContactDamage(events, source, target) {
+    const dmgComp = source.getComponent('ContactDamageComponent');
+    const hpComp  = target.getComponent('HealthComponent');
+    if (!dmgComp || !hpComp || hpComp.invulnTime > 0) return;
+
+    const layer = target.getComponent('CollisionComponent')?.layer ?? 0;
+    if ((dmgComp.targetMask & layer) === 0) return;
+
+    dealDamage(events, source, target, dmgComp.damage);
+}
+
+/**
+ * Removes amount hit points from target, starts its invulnerability window and emits 'damage'.
+ * @param {import('./EventBus.js').EventBus} events
+ * @param {import('./Entity.js').Entity} source - Entity dealing the damage.
+ * @param {import('./Entity.js').Entity} target - Entity with a HealthComponent.
+ * @param {number} amount
+ */
+export function dealDamage(events, source, target, amount) {
+    const hpComp = target.getComponent('HealthComponent');
+    hpComp.hp -= amount;
+    hpComp.invulnTime = hpComp.invulnDuration;
+    events.emit('damage', { source, target, amount });
+}
+
+/**
+ * Destroys CombustibleComponent entities as soon as they touch anything.
+ * @param {import('./EventBus.js').EventBus} events
+ * @returns {function(): void} Unsubscribes the rule.
+ */
+export function registerCombustion(events) {
+    return events.on('collisionEnter', ({ a, b }) => {
+        if (a.getComponent('CombustibleComponent')) a.destroy();
+        if (b.getComponent('CombustibleComponent')) b.destroy();
+    });
+}
+
+/**
+ * Resolves spell projectile impacts (entities with ProjectileComponent).
+ *
+ * Hitting an entity with health on one of the projectile's target layers (enemies for the
+ * player's spells, the player for enemy casters) deals the spell's damage and applies its
+ * on-hit effect: explode (splash damage around the impact), chain (arcs to nearby targets),
+ * freeze (adds a FrozenComponent) or pierce (keeps flying until its hits are used up).
+ * Anything else — level geometry or another projectile — stops the spell, detonating
+ * explode spells at the point of impact.
+ * @param {import('./EventBus.js').EventBus} events
+ * @param {import('./EntityManager.js').EntityManager} entityManager - Used to find splash and chain targets.
+ * @returns {function(): void} Unsubscribes the rule.
+ */
+export function registerSpellHits(events, entityManager) {
+    return events.on('collisionEnter', ({ a, b }) => {
+        if (a.getComponent('ProjectileComponent')) applySpellHit(events, entityManager, a, b);
+        if (b.getComponent('ProjectileComponent')) applySpellHit(events, entityManager, b, a);
+    });
+}
+
+function isSpellTarget(entity, targetMask) {
+    const layer = entity.getComponent('CollisionComponent')?.layer ?? 0;
+    return entity.isActive() && !!entity.getComponent('HealthComponent') && (layer & targetMask) !== 0;
+}
+
+function applySpellHit(events, entityManager, projectile, other) {
+    if (!projectile.isActive()) return;
+    const projComp = projectile.getComponent('ProjectileComponent');
+    const { spell } = projComp;
+    const position = projectile.getComponent('PositionComponent').position.clone();
+
+    if (!isSpellTarget(other, projComp.targetMask)) {
+        if (spell.onHit?.type === 'explode') explode(events, entityManager, projectile, position, null);
+        projectile.destroy();
+        events.emit('spellHit', { spell, projectile, target: null, position });
+        return;
+    }
+
+    // piercing shots may still be overlapping a target they already went through
+    if (projComp.hitEntities.has(other)) return;
+    projComp.hitEntities.add(other);
+
+    dealDamage(events, projectile, other, spell.damage);
+
+    switch (spell.onHit?.type) {
+        case 'explode': explode(events, entityManager, projectile, position, other); break;
+        case 'chain':   chain(events, entityManager, projectile, other); break;
+        case 'freeze':  freeze(other, spell.onHit.duration); break;
+    }
+    events.emit('spellHit', { spell, projectile, target: other, position });
+
+    projComp.hitsLeft -= 1;
+    if (projComp.hitsLeft <= 0) projectile.destroy();
+}
+
+function spellTargets(entityManager, projectile) {
+    const { targetMask } = projectile.getComponent('ProjectileComponent');
+    return entityManager.getWithComponentName('HealthComponent', 'PositionComponent', 'CollisionComponent')
+        .filter(e => isSpellTarget(e, targetMask));
+}
+
+function explode(events, entityManager, projectile, center, directHit) {
+    const { radius, damage } = projectile.getComponent('ProjectileComponent').spell.onHit;
+    for (const target of spellTargets(entityManager, projectile)) {
+        if (target === directHit) continue;
+        if (target.getComponent('PositionComponent').position.distanceTo(center) <= radius) {
+            dealDamage(events, projectile, target, damage);
+        }
+    }
+}
+
+function chain(events, entityManager, projectile, firstTarget) {
+    const { spell, hitEntities } = projectile.getComponent('ProjectileComponent');
+    const { jumps, range, falloff } = spell.onHit;
+
+    let from = firstTarget;
+    let damage = spell.damage;
+    for (let i = 0; i < jumps; i++) {
+        const fromPos = from.getComponent('PositionComponent').position;
+        let next = null;
+        let bestDist = range;
+        for (const target of spellTargets(entityManager, projectile)) {
+            if (hitEntities.has(target)) continue;
+            const dist = target.getComponent('PositionComponent').position.distanceTo(fromPos);
+            if (dist <= bestDist) { bestDist = dist; next = target; }
+        }
+        if (!next) break;
+
+        damage *= falloff;
+        hitEntities.add(next);
+        dealDamage(events, projectile, next, damage);
+        events.emit('spellChain', { spell, from, to: next });
+        from = next;
+    }
+}
+
+function freeze(target, duration) {
+    const frozen = target.getComponent('FrozenComponent');
+    if (frozen) frozen.secondsLeft = Math.max(frozen.secondsLeft, duration);
+    else target.addComponent(new FrozenComponent(duration));
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { disposeObject } from './utils.js';
 
 /**
  * Base class for all ECS components.
@@ -8,10 +9,20 @@ export class Component {
     constructor() {
         this.name = this.constructor.name;
     }
+
+    /**
+     * Called once the component is done with: when it is removed from or replaced on its
+     * entity, or when its entity is removed by EntityManager. Override to release anything
+     * the component owns that outlives it otherwise (GPU resources, audio nodes).
+     * @param {import('./Entity.js').Entity} entity - The entity the component belonged to.
+     */
+    dispose(entity) {}
 }
 
 /**
  * Stores the world-space position of an entity and whether it is resting on the ground.
+ * previous holds the position at the start of the latest simulation step, so rendering
+ * can interpolate between the two.
  */
 export class PositionComponent extends Component {
     /**
@@ -20,6 +31,7 @@ export class PositionComponent extends Component {
     constructor(vec = new THREE.Vector3()) {
         super();
         this.position = vec;
+        this.previous = vec.clone();
         this.isOnGround = false;
     }
 }
@@ -38,17 +50,51 @@ export class VelocityComponent extends Component {
 }
 
 /**
- * Defines an oriented bounding box (OBB) used for collision detection.
+ * Bit flags naming the collision layer an entity belongs to.
+ * A CollisionComponent's mask is an OR of the layers it interacts with.
+ */
+export const CollisionLayer = Object.freeze({
+    NONE:       0,
+    WORLD:      1 << 0, // static level geometry: floor, walls, obstacles
+    PLAYER:     1 << 1,
+    ENEMY:      1 << 2,
+    PROJECTILE: 1 << 3,
+    PICKUP:     1 << 4,
+    ALL:        0xffff,
+});
+
+/**
+ * Defines an oriented bounding box (OBB) used for collision detection, plus the layer
+ * the entity sits on and the mask of layers it interacts with. Two entities only collide
+ * when each one's layer is in the other's mask. Triggers report overlaps but are never
+ * pushed apart from (or push) anything.
  */
 export class CollisionComponent extends Component {
     /**
      * @param {THREE.Vector3}  [halfVec=new THREE.Vector3(0.5, 1, 0.5)] - Half-extents of the OBB.
      * @param {THREE.Quaternion} [rotation=new THREE.Quaternion()]       - OBB orientation (identity = axis-aligned).
+     * @param {Object}  [options]
+     * @param {number}  [options.layer=CollisionLayer.WORLD] - The CollisionLayer flag this entity belongs to.
+     * @param {number}  [options.mask=CollisionLayer.ALL]    - OR of the CollisionLayer flags this entity interacts with.
+     * @param {boolean} [options.isTrigger=false]            - If true, overlaps are reported but never resolved.
      */
-    constructor(halfVec = new THREE.Vector3(0.5, 1, 0.5), rotation = new THREE.Quaternion()) {
+    constructor(halfVec = new THREE.Vector3(0.5, 1, 0.5), rotation = new THREE.Quaternion(),
+                { layer = CollisionLayer.WORLD, mask = CollisionLayer.ALL, isTrigger = false } = {}) {
         super();
         this.half = halfVec;
         this.rotation = rotation; // identity = axis-aligned (backward compatible)
+        this.layer = layer;
+        this.mask = mask;
+        this.isTrigger = isTrigger;
+    }
+
+    /**
+     * Returns true if this collider and other should be tested against each other.
+     * @param {CollisionComponent} other
+     * @returns {boolean}
+     */
+    interactsWith(other) {
+        return (this.mask & other.layer) !== 0 && (other.mask & this.layer) !== 0;
     }
 }
 
@@ -64,7 +110,8 @@ export class ScoreComponent extends Component {
 
 /**
  * Marker component that flags an entity as player-controlled.
- * The movement system reads this to apply keyboard input to the entity.
+ * The movement system reads this to apply keyboard input to the entity, and
+ * EntityManager.getPlayers() uses it to find every player.
  */
 export class InputComponent extends Component {
     constructor() {
@@ -73,16 +120,51 @@ export class InputComponent extends Component {
 }
 
 /**
- * Stores current and maximum hit points for an entity.
+ * Stores current and maximum hit points for an entity, plus a short invulnerability
+ * window that starts whenever contact damage lands.
  */
 export class HealthComponent extends Component {
     /**
-     * @param {number} [maxHp=100] - Maximum (and initial) hit points.
+     * @param {number} [maxHp=100]        - Maximum (and initial) hit points.
+     * @param {number} [invulnDuration=0] - Seconds of invulnerability granted after each hit.
      */
-    constructor(maxHp = 100) {
+    constructor(maxHp = 100, invulnDuration = 0) {
         super();
         this.maxHp = maxHp;
         this.hp = maxHp;
+        this.invulnDuration = invulnDuration;
+        this.invulnTime = 0; // seconds of invulnerability remaining
+    }
+}
+
+/**
+ * Stores the mana pool an entity spends to cast spells, and how fast it refills.
+ */
+export class ManaComponent extends Component {
+    /**
+     * @param {number} [maxMana=100] - Maximum (and initial) mana.
+     * @param {number} [regen=10]    - Mana regenerated per second.
+     */
+    constructor(maxMana = 100, regen = 10) {
+        super();
+        this.maxMana = maxMana;
+        this.mana = maxMana;
+        this.regen = regen;
+    }
+}
+
+/**
+ * Deals damage to entities it touches (see CollisionRules.registerContactDamage).
+ */
+export class ContactDamageComponent extends Component {
+    /**
+     * @param {number} damage                         - Hit points removed per hit.
+     * @param {number} [targetMask=CollisionLayer.ALL] - OR of the CollisionLayer flags this entity damages.
+     */
+    constructor(damage, targetMask = CollisionLayer.ALL) {
+        super();
+        this.damage = damage;
+        this.targetMask = targetMask;
     }
 }
 
@@ -94,12 +176,20 @@ export class MeshComponent extends Component {
      * @param {THREE.Object3D|null} [mesh=null]        - The Three.js mesh or scene object.
      * @param {boolean}             [castShadow=true]   - Whether this mesh casts shadows.
      * @param {boolean}             [receiveShadow=true] - Whether this mesh receives shadows.
+     * @param {function(Object): boolean} [isShared]    - Returns true for geometries, materials and
+     *        textures the mesh shares with others (e.g. Assets.isShared), which dispose() leaves alone.
      */
-    constructor(mesh = null, castShadow = true, receiveShadow = true) {
+    constructor(mesh = null, castShadow = true, receiveShadow = true, isShared = () => false) {
         super();
         this.mesh = mesh;
         this.castShadow = castShadow;
         this.receiveShadow = receiveShadow;
+        this.isShared = isShared;
+    }
+
+    /** Frees the GPU resources of the mesh and its children that are not shared. */
+    dispose() {
+        if (this.mesh) disposeObject(this.mesh, this.isShared);
     }
 }
 
@@ -153,7 +243,7 @@ export class LifespanComponent extends Component {
 
 /**
  * Marker component that flags an entity as combustible.
- * On contact with another entity, the combustible entity is destroyed and deals damage.
+ * On contact with another entity, the combustible entity is destroyed.
  */
 export class CombustibleComponent extends Component {
     constructor() {
@@ -173,6 +263,13 @@ export class AnimationComponent extends Component {
         this.mixer  = mixer;
         this.action = action; // optional: primary AnimationAction for play/pause control
     }
+
+    /** Stops every action and drops the mixer's cached clips and bindings for its root. */
+    dispose() {
+        if (!this.mixer) return;
+        this.mixer.stopAllAction();
+        this.mixer.uncacheRoot(this.mixer.getRoot());
+    }
 }
 
 /**
@@ -188,7 +285,7 @@ export class PathComponent extends Component {
 
 /**
  * Holds a Three.js PointLight that moves with the entity each frame.
- * The render system lazily adds it to the scene and removes it when the entity dies.
+ * The render system lazily adds it to the scene and removes it when the entity is removed.
  */
 export class LightComponent extends Component {
     /**
@@ -202,4 +299,125 @@ export class LightComponent extends Component {
         this.light.castShadow = castShadow;
         if (castShadow) this.light.shadow.mapSize.set(1024, 1024);
     }
+
+    /** Frees the light's shadow map. */
+    dispose() {
+        this.light.dispose();
+    }
+}
+
+/**
+ * A looping sound that moves with the entity, such as a torch's crackle.
+ * The render system creates the THREE.PositionalAudio once audio is available; it stops
+ * when the component is disposed.
+ */
+export class SoundComponent extends Component {
+    /**
+     * @param {string} sound             - Audio asset name (see assets.json).
+     * @param {number} [volume=1]
+     * @param {number} [refDistance=4]   - Distance at which the sound plays at full volume; it fades beyond.
+     */
+    constructor(sound, volume = 1, refDistance = 4) {
+        super();
+        this.sound = sound;
+        this.volume = volume;
+        this.refDistance = refDistance;
+        this.audio = null; // THREE.PositionalAudio, created lazily by the render system
+    }
+
+    /** Stops the sound and disconnects it from the audio graph. */
+    dispose() {
+        if (!this.audio) return;
+        if (this.audio.isPlaying) this.audio.stop();
+        this.audio.disconnect();
+    }
+}
+
+/**
+ * Holds the spells an entity can cast, which one is selected, and per-spell cooldowns.
+ */
+export class SpellbookComponent extends Component {
+    /**
+     * @param {string[]} [spells=[]] - Spell names (see SpellRegistry.js) in slot order.
+     */
+    constructor(spells = []) {
+        super();
+        this.spells = spells;
+        this.selected = 0;
+        this.cooldowns = {}; // spell name -> seconds until it can be cast again
+    }
+
+    /**
+     * Returns the name of the selected spell, or null if the spellbook is empty.
+     * @returns {string|null}
+     */
+    current() {
+        return this.spells[this.selected] ?? null;
+    }
+
+    /**
+     * Selects the spell in the given slot; out-of-range slots are ignored.
+     * @param {number} index
+     */
+    select(index) {
+        if (index >= 0 && index < this.spells.length) this.selected = index;
+    }
+
+    /**
+     * Moves the selection forward (step > 0) or backward (step < 0), wrapping around.
+     * @param {number} step
+     */
+    cycle(step) {
+        const n = this.spells.length;
+        if (n > 0) this.selected = ((this.selected + step) % n + n) % n;
+    }
+}
+
+/**
+ * Marks an entity as a spell projectile and tracks its impact state.
+ * Read by the spell-hit collision rule (CollisionRules.registerSpellHits).
+ */
+export class ProjectileComponent extends Component {
+    /**
+     * @param {Object} spell - Normalised spell definition from the SpellRegistry.
+     * @param {import('./Entity.js').Entity|null} [caster=null] - Entity that cast the spell.
+     * @param {number} [targetMask=CollisionLayer.ENEMY] - OR of the CollisionLayer flags the spell damages.
+     */
+    constructor(spell, caster = null, targetMask = CollisionLayer.ENEMY) {
+        super();
+        this.spell = spell;
+        this.caster = caster;
+        this.targetMask = targetMask;
+        this.hitsLeft = spell.onHit?.type === 'pierce' ? spell.onHit.hits : 1;
+        this.hitEntities = new Set(); // targets already damaged, so piercing shots hit each only once
+    }
+}
+
+/**
+ * Stops an entity's AI movement and animation until secondsLeft runs out.
+ */
+export class FrozenComponent extends Component {
+    /**
+     * @param {number} secs - How many seconds the entity stays frozen.
+     */
+    constructor(secs) {
+        super();
+        this.secondsLeft = secs;
+    }
+}
+
+/**
+ * Marks an entity as an enemy of a given archetype (see EnemyRegistry.js) and holds
+ * the per-enemy state its AI behaviour needs.
+ */
+export class EnemyComponent extends Component {
+    /**
+     * @param {Object} archetype - Normalised archetype from the EnemyRegistry.
+     */
+    constructor(archetype) {
+        super();
+        this.archetype = archetype;
+        this.castTimer = archetype.behavior.castInterval ?? 0; // seconds until a caster may cast again
+        this.detonated = false; // set when an exploder blows itself up, so it isn't counted as a kill
+    }
 }
@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+import enemiesFile from './enemies.json' assert { type: 'json' };
+
+// AI behaviours an archetype can declare, with their parameters and defaults
+const BEHAVIOR_PARAMS = {
+    chase:    {},                                             // paths straight to the player
+    exploder: { triggerRange: 1.8, radius: 3, damage: 30 },   // detonates once within triggerRange of the player
+    caster:   { spell: 'shadowBolt', range: 12, castInterval: 3 }, // holds position within range and casts spell at the player
+};
+
+/**
+ * Registry of enemy archetypes, keyed by name.
+ *
+ * An archetype describes how one kind of zombie looks, fights and moves:
+ *
+ * {
+ *   "name": "runner", "label": "Runner",
+ *   "model": "zombie", "tint": "#9fdc8c", "sound": "sfx-zombie",
+ *   "animation": { "clip": 0, "startFrame": 25, "endFrame": 27, "fps": 1, "timeScale": 2.5 },
+ *   "health": 50, "speed": 2.2, "size": [0.8, 1.3, 0.8],
+ *   "contactDamage": 5, "score": 150,
+ *   "spawnWeight": 3, "unlockTime": 30,
+ *   "behavior": { "type": "chase" }
+ * }
+ *
+ * model names a GLTF geometry in assets.json (a tinted box is used if it is missing) and
+ * animation picks the walk cycle out of its clips. sound optionally names an audio clip the
+ * zombie loops as it walks. speed is in units/second before the per-kill speed-up.
+ * spawnWeight and unlockTime (seconds into the run) drive random wave composition.
+ * behavior.type is one of chase, exploder or caster (see BEHAVIOR_PARAMS).
+ * The built-in archetypes live in enemies.json and are registered on the shared `enemies` instance.
+ */
+export class EnemyRegistry {
+    constructor() {
+        this.archetypes = {};
+        this.order = [];
+    }
+
+    /**
+     * Validates an archetype definition, fills in defaults, and stores it under its name.
+     * @param {Object} def - Raw archetype definition (see class docs).
+     * @returns {Object} The normalised archetype.
+     * @throws {Error} If a field is missing or has the wrong type.
+     */
+    register(def) {
+        const name = def?.name;
+        if (typeof name !== 'string' || !name) {
+            throw new Error(`Enemy: "name" must be a non-empty string, got ${JSON.stringify(name)}`);
+        }
+        const fail = (field, message) => { throw new Error(`Enemy "${name}": "${field}" ${message}`); };
+
+        const number = (value, field, fallback, min = 0) => {
+            if (value === undefined && fallback !== undefined) return fallback;
+            if (typeof value !== 'number' || !Number.isFinite(value)) fail(field, `must be a number, got ${JSON.stringify(value)}`);
+            if (value < min) fail(field, `must be at least ${min}, got ${value}`);
+            return value;
+        };
+
+        const behaviorType = def.behavior?.type ?? 'chase';
+        const defaults = BEHAVIOR_PARAMS[behaviorType];
+        if (!defaults) {
+            fail('behavior.type', `must be one of ${Object.keys(BEHAVIOR_PARAMS).join(', ')}, got ${JSON.stringify(behaviorType)}`);
+        }
+        const behavior = { type: behaviorType };
+        for (const [param, fallback] of Object.entries(defaults)) {
+            const value = def.behavior?.[param];
+            if (typeof fallback === 'string') {
+                if (value !== undefined && typeof value !== 'string') fail(`behavior.${param}`, `must be a string, got ${JSON.stringify(value)}`);
+                behavior[param] = value ?? fallback;
+            } else {
+                behavior[param] = number(value, `behavior.${param}`, fallback);
+            }
+        }
+
+        const size = def.size ?? [1, 1.5, 1];
+        if (!Array.isArray(size) || size.length !== 3 || size.some(v => typeof v !== 'number' || v <= 0)) {
+            fail('size', `must be an array of 3 positive numbers, got ${JSON.stringify(def.size)}`);
+        }
+
+        if (def.tint !== undefined && (typeof def.tint !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(def.tint))) {
+            fail('tint', `must be a color string like "#ff8800", got ${JSON.stringify(def.tint)}`);
+        }
+
+        const anim = def.animation ?? null;
+        const archetype = {
+            name,
+            label:         typeof def.label === 'string' ? def.label : name,
+            model:         typeof def.model === 'string' ? def.model : null,
+            sound:         typeof def.sound === 'string' ? def.sound : null,
+            tint:          def.tint !== undefined ? new THREE.Color(def.tint).getHex() : null,
+            animation:     anim && {
+                clip:       number(anim.clip, 'animation.clip', 0),
+                startFrame: number(anim.startFrame, 'animation.startFrame'),
+                endFrame:   number(anim.endFrame, 'animation.endFrame'),
+                fps:        number(anim.fps, 'animation.fps', 30, 0.001),
+                timeScale:  number(anim.timeScale, 'animation.timeScale', 1),
+            },
+            health:        number(def.health, 'health', undefined, 1),
+            speed:         number(def.speed, 'speed', undefined),
+            size:          new THREE.Vector3(...size),
+            contactDamage: number(def.contactDamage, 'contactDamage', 0),
+            score:         number(def.score, 'score', 100),
+            spawnWeight:   number(def.spawnWeight, 'spawnWeight', 1),
+            unlockTime:    number(def.unlockTime, 'unlockTime', 0),
+            behavior,
+        };
+
+        if (!this.archetypes[name]) this.order.push(name);
+        this.archetypes[name] = archetype;
+        return archetype;
+    }
+
+    /**
+     * Returns the archetype registered under name, or null if not found.
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    get(name) { return this.archetypes[name] ?? null; }
+
+    /**
+     * Returns every registered archetype name in registration order.
+     * @returns {string[]}
+     */
+    names() { return [...this.order]; }
+
+    /**
+     * Picks a random archetype, weighted by spawnWeight, among those unlocked at elapsedTime.
+     * @param {number}          elapsedTime - Seconds since the run started.
+     * @param {function(): number} [random=Math.random] - Source of uniform numbers in [0, 1).
+     * @returns {Object|null} The chosen archetype, or null if none are unlocked.
+     */
+    pick(elapsedTime, random = Math.random) {
+        const pool = this.order.map(n => this.archetypes[n])
+            .filter(a => a.unlockTime <= elapsedTime && a.spawnWeight > 0);
+        const total = pool.reduce((sum, a) => sum + a.spawnWeight, 0);
+        let roll = random() * total;
+        for (const a of pool) {
+            roll -= a.spawnWeight;
+            if (roll < 0) return a;
+        }
+        return pool[pool.length - 1] ?? null;
+    }
+}
+
+/** Shared registry pre-loaded with the built-in archetypes from enemies.json. */
+export const enemies = new EnemyRegistry();
+for (const def of enemiesFile) enemies.register(def);
@@ -13,6 +13,7 @@ export class Entity {
         this.tag = tag;
         this.id = id;
         this.components = {};
+        this.manager = null; // the EntityManager indexing this entity, set once it is flushed into the live list
     }
 
     /**
@@ -26,11 +27,15 @@ export class Entity {
 
     /**
      * Attaches a component to this entity, keyed by its class name.
-     * Replaces any previously attached component of the same type.
+     * Replaces (and disposes) any previously attached component of the same type. A live
+     * entity tells its EntityManager, so cached component queries stay up to date.
      * @param {import('./Components.js').Component} component
      */
     addComponent(component) {
+        const previous = this.components[component.name];
         this.components[component.name] = component;
+        if (!previous) this.manager?._componentAdded(this, component.name);
+        else if (previous !== component) previous.dispose(this);
     }
 
     /**
@@ -43,19 +48,26 @@ export class Entity {
     }
 
     /**
-     * Detaches and deletes the component of the given type from this entity.
+     * Detaches the component of the given type from this entity and disposes it.
      * @param {string} name - Component class name.
      */
     removeComponent(name) {
+        const component = this.components[name];
+        if (!component) return;
         delete this.components[name];
+        this.manager?._componentRemoved(this, name);
+        component.dispose(this);
     }
 
     /**
-     * Marks this entity for removal. EntityManager.removeDeadEntities() will
-     * prune it from all lists on the next update() call.
+     * Marks this entity for removal. It drops out of component queries at once;
+     * EntityManager.removeDeadEntities() prunes it from the entity list and tag
+     * map on the next update() call.
      */
     destroy() {
+        if (!this.#isActive) return;
         this.#isActive = false;
+        this.manager?._entityDestroyed(this);
     }
 
     /**
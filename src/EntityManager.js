@@ -1,4 +1,5 @@
 import { Entity } from './Entity.js';
+import { EventBus } from './EventBus.js';
 
 /**
  * Creates, stores, and destroys all game entities.
@@ -7,13 +8,31 @@ import { Entity } from './Entity.js';
  * at the start of each update() call, so systems never iterate a mid-frame list.
  * Dead entities (those whose isActive() returns false) are pruned during the
  * same update() call.
+ *
+ * Component queries are cached: the first getWithComponentName() call for a set of
+ * component names builds its result, and from then on live entities join or leave it as
+ * they are flushed, gain or lose a component, or are destroyed. Entities report those
+ * changes through the hooks below, so each one costs a few set operations rather than a
+ * pass over every entity.
+ *
+ * Systems and game rules follow entities' lifetimes through this.events instead of
+ * watching the entity list:
+ * - 'entityAdded'   { entity } once an entity is flushed into the live list.
+ * - 'entityRemoved' { entity } when a destroyed entity is pruned, with its components still
+ *   attached. Each component's dispose() hook runs right after.
  */
 export class EntityManager {
     constructor() {
-        this.entities = [];
+        this.entities = new EntityGroup();
         this.entitiesToAdd = [];
-        this.entityMap = {}; // maps tags to list of entities with that tag
+        this.entityMap = {}; // maps tags to the EntityGroup of entities with that tag
         this.entityCount = 0;
+
+        this.queries = new Map();           // sorted component names joined by ',' -> Query
+        this.queryAliases = new Map();      // component names as passed in, joined by ',' -> Query
+        this.queriesByComponent = new Map(); // component name -> Query[] that require it
+        this.destroyed = new Set();         // live entities destroyed since the last prune
+        this.events = new EventBus();
     }
 
     /**
@@ -21,30 +40,63 @@ export class EntityManager {
      * Call once per frame before running any game systems.
      */
     update() {
-        // process entities to add
-        for (const entity of this.entitiesToAdd) {
-            this.entities.push(entity);
+        // process entities to add; ones destroyed before they were ever flushed are dropped.
+        // Handlers of 'entityAdded' may add entities, which wait for the next update().
+        const added = this.entitiesToAdd;
+        this.entitiesToAdd = [];
+        for (const entity of added) {
+            if (!entity.isActive()) {
+                this._disposeComponents(entity);
+                continue;
+            }
+            entity.manager = this;
+            this.entities.add(entity);
             if (!this.entityMap[entity.getTag()]) {
-                this.entityMap[entity.getTag()] = [];
+                this.entityMap[entity.getTag()] = new EntityGroup();
             }
-            this.entityMap[entity.getTag()].push(entity);
+            this.entityMap[entity.getTag()].add(entity);
+            for (const name in entity.components) this._componentAdded(entity, name);
+            this.events.emit('entityAdded', { entity });
         }
-        this.entitiesToAdd = [];
 
         // remove dead entities
         this.removeDeadEntities();
     }
 
     /**
-     * Filters out all inactive entities from the live list and the tag map.
+     * Removes every entity destroyed since the last call from the live list and the tag map,
+     * emitting 'entityRemoved' and disposing its components. Entities destroyed by those
+     * handlers are removed in the same call, in the order they were destroyed.
      * Called automatically by update(); can also be called manually if needed.
      */
     removeDeadEntities() {
-        this.entities = this.entities.filter(e => e.isActive());
+        for (const entity of this.destroyed) {
+            this.entities.delete(entity);
+            this.entityMap[entity.getTag()]?.delete(entity);
+            this.events.emit('entityRemoved', { entity });
+            this._disposeComponents(entity);
+            entity.manager = null;
+        }
+        this.destroyed.clear();
+    }
 
-        for (const tag in this.entityMap) {
-            this.entityMap[tag] = this.entityMap[tag].filter(e => e.isActive());
+    /**
+     * Runs the components' dispose() hooks of every entity, live or still waiting to be added,
+     * and empties the manager. Meant for tearing down a scene: no 'entityRemoved' is emitted,
+     * so game rules do not react to entities that are only being released.
+     */
+    disposeAll() {
+        for (const entity of [...this.entities.toArray(), ...this.entitiesToAdd]) {
+            this._disposeComponents(entity);
+            entity.manager = null;
         }
+        this.entities = new EntityGroup();
+        this.entitiesToAdd = [];
+        this.entityMap = {};
+        this.queries.clear();
+        this.queryAliases.clear();
+        this.queriesByComponent.clear();
+        this.destroyed.clear();
     }
 
     /**
@@ -61,14 +113,32 @@ export class EntityManager {
     }
 
     /**
-     * Returns all currently active entities that possess every listed component.
+     * Returns all currently active entities that possess every listed component, in the order
+     * they joined the query (creation order, unless a component was added later on).
+     * The array is shared between callers and replaced, never modified, when the result
+     * changes, so it is safe to keep iterating it while adding or removing components.
+     * Do not modify it.
      * @param {...string} names - One or more component class names to filter by.
      * @returns {Entity[]}
      */
     getWithComponentName(...names) {
-        return this.entities.filter(e =>
-            e.isActive() && names.every(n => e.hasComponent(n))
-        );
+        const alias = names.join(',');
+        let query = this.queryAliases.get(alias);
+        if (!query) {
+            query = this._query(names);
+            this.queryAliases.set(alias, query);
+        }
+        return query.group.toArray();
+    }
+
+    /**
+     * Returns every active player entity, i.e. every entity with an InputComponent, in the
+     * order they were created. Systems should find players through this rather than by ID,
+     * so a player can be spawned at any time and there can be more than one.
+     * @returns {Entity[]}
+     */
+    getPlayers() {
+        return this.getWithComponentName('InputComponent');
     }
 
     /**
@@ -77,7 +147,7 @@ export class EntityManager {
      * @returns {Entity|null}
      */
     getWithID(id) {
-        return this.entities.find(e => e.id === id && e.isActive()) ?? null;
+        return this.entities.toArray().find(e => e.id === id && e.isActive()) ?? null;
     }
 
     /**
@@ -86,15 +156,116 @@ export class EntityManager {
      * @returns {Entity[]}
      */
     getEntities() {
-        return this.entities;
+        return this.entities.toArray();
     }
 
     /**
-     * Returns all active entities that were created with the given tag.
+     * Returns all entities that were created with the given tag (including entities that may
+     * have just been marked inactive but not yet pruned).
      * @param {string} tag
      * @returns {Entity[]}
      */
     getEntitiesWithTag(tag) {
-        return this.entityMap[tag] || [];
+        return this.entityMap[tag]?.toArray() ?? [];
+    }
+
+    /**
+     * Called by a live entity when it gains a component type it did not have.
+     * @param {Entity} entity
+     * @param {string} name - Component class name.
+     */
+    _componentAdded(entity, name) {
+        if (!entity.isActive()) return;
+        for (const query of this.queriesByComponent.get(name) ?? []) {
+            if (query.matches(entity)) query.group.add(entity);
+        }
+    }
+
+    /**
+     * Called by a live entity when it loses a component.
+     * @param {Entity} entity
+     * @param {string} name - Component class name.
+     */
+    _componentRemoved(entity, name) {
+        for (const query of this.queriesByComponent.get(name) ?? []) query.group.delete(entity);
+    }
+
+    /**
+     * Called by a live entity when it is destroyed: it leaves every query at once, and the
+     * entity list and tag map on the next prune.
+     * @param {Entity} entity
+     */
+    _entityDestroyed(entity) {
+        for (const name in entity.components) this._componentRemoved(entity, name);
+        this.destroyed.add(entity);
+    }
+
+    _disposeComponents(entity) {
+        for (const component of Object.values(entity.components)) component.dispose(entity);
+    }
+
+    // returns the query for a set of component names, building it from the live entities the first time
+    _query(names) {
+        const key = [...new Set(names)].sort().join(',');
+        let query = this.queries.get(key);
+        if (query) return query;
+
+        query = new Query(key.split(','));
+        for (const entity of this.entities.toArray()) {
+            if (entity.isActive() && query.matches(entity)) query.group.add(entity);
+        }
+        this.queries.set(key, query);
+        for (const name of query.names) {
+            if (!this.queriesByComponent.has(name)) this.queriesByComponent.set(name, []);
+            this.queriesByComponent.get(name).push(query);
+        }
+        return query;
+    }
+}
+
+/**
+ * An insertion-ordered set of entities that hands out its members as an array. The array is
+ * rebuilt on the first read after a change, so adding and removing stay O(1).
+ */
+class EntityGroup {
+    constructor() {
+        this.members = new Set();
+        this.list = [];
+        this.dirty = false;
+    }
+
+    add(entity) {
+        if (this.members.has(entity)) return;
+        this.members.add(entity);
+        this.dirty = true;
+    }
+
+    delete(entity) {
+        if (this.members.delete(entity)) this.dirty = true;
+    }
+
+    toArray() {
+        if (this.dirty) {
+            this.list = [...this.members];
+            this.dirty = false;
+        }
+        return this.list;
+    }
+}
+
+/**
+ * The cached result of getWithComponentName() for one set of component names.
+ */
+class Query {
+    /**
+     * @param {string[]} names - Component class names an entity must all have.
+     */
+    constructor(names) {
+        this.names = names;
+        this.group = new EntityGroup();
+    }
+
+    matches(entity) {
+        return this.names.every(n => entity.hasComponent(n));
     }
 }
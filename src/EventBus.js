@@ -0,0 +1,48 @@
+/**
+ * Minimal synchronous publish/subscribe hub.
+ * Scenes own one bus; systems emit named events and game rules subscribe to them,
+ * so rules can be exercised by emitting events directly, without a renderer.
+ */
+export class EventBus {
+    constructor() {
+        this.listeners = {}; // maps event type to list of handler functions
+    }
+
+    /**
+     * Subscribes handler to events of the given type.
+     * @param {string}   type    - Event name (e.g. 'collisionEnter').
+     * @param {function(Object): void} handler - Called with the event payload.
+     * @returns {function(): void} Call to unsubscribe.
+     */
+    on(type, handler) {
+        if (!this.listeners[type]) {
+            this.listeners[type] = [];
+        }
+        this.listeners[type].push(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Removes a handler previously registered with on().
+     * @param {string}   type
+     * @param {function(Object): void} handler
+     */
+    off(type, handler) {
+        const list = this.listeners[type];
+        if (!list) return;
+        const i = list.indexOf(handler);
+        if (i !== -1) list.splice(i, 1);
+    }
+
+    /**
+     * Calls every handler subscribed to type with the given payload, in subscription order.
+     * Handlers added or removed during the emit take effect from the next emit.
+     * @param {string} type
+     * @param {Object} [payload={}]
+     */
+    emit(type, payload = {}) {
+        const list = this.listeners[type];
+        if (!list) return;
+        for (const handler of [...list]) handler(payload);
+    }
+}
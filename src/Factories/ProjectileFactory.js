@@ -0,0 +1,64 @@
+import * as THREE from 'three';
+import * as C from '../Components.js';
+
+// shared fallback geometries, keyed by radius
+const sphereGeometries = {};
+
+/**
+ * Configures a spell projectile from its spell definition (see SpellRegistry.js).
+ * The spell's speed, size, lifetime and light come from data; what happens on impact is
+ * handled by the spell-hit collision rule via the ProjectileComponent.
+ * data.targetMask picks the layers the spell damages (enemies by default; enemy casters target the player).
+ */
+export function setProjectileComponents(data) {
+    // unpack data object for convenience
+    const { entity, assets, position, direction, spell, caster } = data;
+    const targetMask = data.targetMask ?? C.CollisionLayer.ENEMY;
+
+    // add necessary components
+    entity.addComponent(new C.PositionComponent(position));
+    const vel = direction.clone().normalize().multiplyScalar(spell.speed);
+    entity.addComponent(new C.VelocityComponent(vel));
+    // projectiles pass through their caster's side: they only hit their targets, level geometry and other projectiles.
+    // They are triggers, so a hit never pushes what they touch; the spell-hit rule handles it instead.
+    entity.addComponent(new C.CollisionComponent(
+        new THREE.Vector3(spell.radius, spell.radius, spell.radius),
+        new THREE.Quaternion(),
+        { layer: C.CollisionLayer.PROJECTILE, mask: C.CollisionLayer.WORLD | targetMask | C.CollisionLayer.PROJECTILE, isTrigger: true }
+    ));
+    entity.addComponent(new C.LifespanComponent(spell.lifetime));
+    entity.addComponent(new C.ProjectileComponent(spell, caster, targetMask));
+    entity.addComponent(new C.LightComponent(spell.light.color, spell.light.intensity, spell.light.distance));
+    if (spell.sound) entity.addComponent(new C.SoundComponent(spell.sound, 0.6));
+
+    // define default geometry
+    sphereGeometries[spell.radius] ??= new THREE.SphereGeometry(spell.radius, 8, 8);
+    let geometry = sphereGeometries[spell.radius];
+
+    // use the preloaded geometry if available, scaled to the spell's radius
+    const model = spell.model ? assets.getGeometry(spell.model) : null;
+    if (model?.isBufferGeometry) {
+        geometry = model.clone();
+        const scale = spell.radius / (model.boundingSphere?.radius || spell.radius);
+        geometry.scale(scale, scale, scale);
+    }
+
+    // define default texture/material
+    let texture = new THREE.MeshLambertMaterial({ color: spell.color, emissive: spell.color, emissiveIntensity: 0.6 });
+
+    // use the preloaded texture if available
+    if (spell.model && assets.getMaterial(spell.model)) {
+        texture = assets.getMaterial(spell.model);
+    }
+
+    // create the mesh and orient it so the model's +Z axis points along the travel direction.
+    // if the model appears sideways, swap the MODEL_FORWARD axis (try +Y or +X).
+    const mesh = new THREE.Mesh(geometry, texture);
+    const MODEL_FORWARD = new THREE.Vector3(0, 0, -1);
+    mesh.quaternion.setFromUnitVectors(MODEL_FORWARD, direction.clone().normalize());
+    // the fallback spheres are cached across projectiles and preloaded materials belong to the asset registry
+    const isShared = resource => resource === sphereGeometries[spell.radius] || assets.isShared(resource);
+    entity.addComponent(new C.MeshComponent(mesh, true, true, isShared));
+
+    return entity;
+}
@@ -1,25 +1,41 @@
 import * as THREE from 'three';
 import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
 import * as C from '../Components.js';
+import { enemies } from '../EnemyRegistry.js';
 
-const ZOMBIE_HEALTH = 100;
+// archetype used when data.archetype is not given
+const DEFAULT_ARCHETYPE = 'walker';
 
-// Target height in world units — the model is auto-scaled to this regardless of export units
-const ZOMBIE_TARGET_HEIGHT = 1.5;
+// fallback box color for untinted archetypes whose model is missing
+const FALLBACK_COLOR = 0x6a0dad;
 
+/**
+ * Configures a zombie from its archetype (see EnemyRegistry.js): size, health, contact
+ * damage, model, tint and walk animation all come from data.archetype.
+ */
 export function setZombieComponents(data) {
     const { entity, assets, position, direction } = data;
+    const archetype = data.archetype ?? enemies.get(DEFAULT_ARCHETYPE);
 
-    const halfHeight = ZOMBIE_TARGET_HEIGHT / 2;
+    // Target height in world units — the model is auto-scaled to this regardless of export units
+    const targetHeight = archetype.size.y;
+    const halfHeight = targetHeight / 2;
 
     entity.addComponent(new C.PositionComponent(position));
     entity.addComponent(new C.VelocityComponent(new THREE.Vector3()));
-    entity.addComponent(new C.CollisionComponent(new THREE.Vector3(0.5, halfHeight, 0.5)));
-    entity.addComponent(new C.HealthComponent(ZOMBIE_HEALTH));
+    entity.addComponent(new C.CollisionComponent(
+        archetype.size.clone().multiplyScalar(0.5),
+        new THREE.Quaternion(),
+        { layer: C.CollisionLayer.ENEMY, mask: C.CollisionLayer.ALL }
+    ));
+    entity.addComponent(new C.HealthComponent(archetype.health));
+    entity.addComponent(new C.ContactDamageComponent(archetype.contactDamage, C.CollisionLayer.PLAYER));
     entity.addComponent(new C.PathComponent());
+    entity.addComponent(new C.EnemyComponent(archetype));
+    if (archetype.sound) entity.addComponent(new C.SoundComponent(archetype.sound, 0.5, 3));
 
-    const gltfScene = assets.getGeometry('zombie');
-    const clips     = assets.getAnimations('zombie');
+    const gltfScene = archetype.model ? assets.getGeometry(archetype.model) : null;
+    const clips     = archetype.model ? assets.getAnimations(archetype.model) : null;
 
     // wrapper is what sRender moves — its origin is the entity center (mid-height)
     const wrapper = new THREE.Group();
@@ -27,11 +43,11 @@ export function setZombieComponents(data) {
     if (gltfScene) {
         const inner = SkeletonUtils.clone(gltfScene);
 
-        // Auto-scale inner to ZOMBIE_TARGET_HEIGHT
+        // Auto-scale inner to the archetype's height
         inner.updateMatrixWorld(true);
         const box = new THREE.Box3().setFromObject(inner);
         const modelHeight = box.max.y - box.min.y;
-        if (modelHeight > 0) inner.scale.setScalar(ZOMBIE_TARGET_HEIGHT / modelHeight);
+        if (modelHeight > 0) inner.scale.setScalar(targetHeight / modelHeight);
 
         // Shift inner down so feet sit at y = -halfHeight relative to wrapper.
         // When wrapper.position.y = halfHeight (spawn), feet land exactly on y=0.
@@ -41,21 +57,28 @@ export function setZombieComponents(data) {
             if (child.isMesh) {
                 child.castShadow    = true;
                 child.receiveShadow = true;
+                // materials are shared between clones, so tint a copy
+                if (archetype.tint !== null && child.material?.color) {
+                    child.material = child.material.clone();
+                    child.material.color.multiply(new THREE.Color(archetype.tint));
+                }
             }
         });
 
         wrapper.add(inner);
 
-        if (clips?.length) {
-            const walkClip = THREE.AnimationUtils.subclip(clips[0], 'walk', 25, 27, 1);
+        const anim = archetype.animation;
+        if (anim && clips?.[anim.clip]) {
+            const walkClip = THREE.AnimationUtils.subclip(clips[anim.clip], 'walk', anim.startFrame, anim.endFrame, anim.fps);
             const mixer = new THREE.AnimationMixer(inner);
+            mixer.timeScale = anim.timeScale;
             mixer.clipAction(walkClip).play();
             entity.addComponent(new C.AnimationComponent(mixer));
         }
     } else {
-        // Fallback: purple box centered on wrapper origin
-        const geo = new THREE.BoxGeometry(1, ZOMBIE_TARGET_HEIGHT, 1);
-        const fallback = new THREE.Mesh(geo, new THREE.MeshStandardMaterial({ color: 0x6a0dad }));
+        // Fallback: tinted box centered on wrapper origin
+        const geo = new THREE.BoxGeometry(archetype.size.x, targetHeight, archetype.size.z);
+        const fallback = new THREE.Mesh(geo, new THREE.MeshStandardMaterial({ color: archetype.tint ?? FALLBACK_COLOR }));
         wrapper.add(fallback);
     }
 
@@ -66,6 +89,7 @@ export function setZombieComponents(data) {
         : new THREE.Vector3().subVectors(new THREE.Vector3(0, 0, 0), position).setY(0).normalize();
     if (facing.lengthSq() > 0) wrapper.quaternion.setFromUnitVectors(MODEL_FORWARD, facing);
 
-    entity.addComponent(new C.MeshComponent(wrapper, true, true));
+    // the model's geometry and untinted materials belong to the asset registry
+    entity.addComponent(new C.MeshComponent(wrapper, true, true, resource => assets.isShared(resource)));
     return entity;
 }
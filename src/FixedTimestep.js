@@ -0,0 +1,47 @@
+/**
+ * Fixed-timestep accumulator.
+ *
+ * Real frame time is banked and spent in whole steps of exactly `step` seconds, so the
+ * simulation behaves identically at any frame rate. What is left over (less than one step)
+ * is reported as an interpolation factor for rendering between the last two steps.
+ */
+export class FixedTimestep {
+    /**
+     * @param {number} [step=1/60]  - Simulation step length in seconds.
+     * @param {number} [maxSteps=8] - Most steps run per advance(); time beyond that is dropped so a
+     *                                long stall (e.g. a breakpoint) doesn't trigger a catch-up spiral.
+     */
+    constructor(step = 1 / 60, maxSteps = 8) {
+        this.step = step;
+        this.maxSteps = maxSteps;
+        this.accumulator = 0;
+    }
+
+    /**
+     * Banks delta and calls stepFn(step) once per whole step available.
+     * @param {number} delta - Real seconds elapsed since the last call.
+     * @param {function(number): void} stepFn - Advances the simulation by one step.
+     * @returns {number} Interpolation factor in [0, 1): how far real time is past the last step.
+     */
+    advance(delta, stepFn) {
+        this.accumulator += delta;
+
+        let steps = 0;
+        while (this.accumulator >= this.step && steps < this.maxSteps) {
+            stepFn(this.step);
+            this.accumulator -= this.step;
+            steps++;
+        }
+        // hit maxSteps: drop the whole steps still owed
+        if (this.accumulator >= this.step) this.accumulator %= this.step;
+
+        return this.accumulator / this.step;
+    }
+
+    /**
+     * Discards banked time (e.g. when the scene changes).
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+}
@@ -3,59 +3,271 @@ import { Assets } from './Assets.js';
 import { Action } from './Action.js';
 import { ScenePlay } from './ScenePlay.js';
 import { SceneMenu } from './SceneMenu.js';
+import { FixedTimestep } from './FixedTimestep.js';
+import { loadReplayFile } from './Replay.js';
+import { GamepadInput } from './Gamepad.js';
+import { liveListenerCount } from './Scene.js';
+import { SceneLoading } from './SceneLoading.js';
+import { AudioManager } from './Audio.js';
+import { settings } from './Settings.js';
+
+// scenes are simulated in fixed steps of this length (60 Hz), whatever the display refresh rate
+const SIMULATION_STEP = 1 / 60;
+
+// longest real frame time accepted per frame; longer frames (tab switches, stalls) are cut short
+const MAX_FRAME_DELTA = 0.25;
+
+// seconds a fade to or from black takes during a scene transition
+const FADE_TIME = 0.35;
 
 /**
  * Top-level game loop controller.
  *
  * Responsibilities:
  * - Creates and owns the Three.js WebGLRenderer.
- * - Manages the active scene and delegates per-frame update/render calls to it.
- * - Translates raw DOM input events into Action objects and forwards them to the scene.
+ * - Manages a stack of scenes: the top one (currentScene) runs its update() in fixed
+ *   simulation steps and receives input; every scene in the stack is rendered once per
+ *   displayed frame, bottom to top, so overlays (e.g. the pause menu) draw over the scene
+ *   they cover. Scenes are torn down when replaced or popped.
+ * - Captures the pointer while the current scene wants it (Scene.usesPointerLock).
+ * - Runs scene transitions: fade out, load the next scene's assets behind a loading screen,
+ *   fade in (see transitionTo()).
+ * - Translates raw DOM input events and polled gamepad buttons into Action objects and
+ *   forwards them to the scene.
  * - Loads shared assets via the Assets manager.
+ * - Plays sound through the AudioManager, whose listener follows the bottom scene's camera
+ *   and which loops that scene's music.
+ * - Applies the player's settings (see Settings.js) to the renderer, the audio and every
+ *   scene in the stack, whenever they change.
  */
 export class GameEngine {
     /**
      * @param {HTMLElement} canvasElement - DOM element to attach the renderer canvas to.
      */
     constructor(canvasElement) {
-        this.currentScene = null;
+        this.sceneStack   = [];  // bottom to top; the top scene is currentScene
         this.isRunning    = true;
         this.timer        = new THREE.Timer();
         this.timer.connect(document);
+        this.timestep     = new FixedTimestep(SIMULATION_STEP);
 
         // Renderer must be created before anything that touches domElement.
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer = new THREE.WebGLRenderer({ antialias: settings.get('antialias') });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.shadowMap.enabled = true;
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.renderer.autoClear = false; // render() clears once, then draws every stacked scene
         canvasElement.appendChild(this.renderer.domElement);
 
-        // Capture pointer on canvas click; Escape releases it automatically.
+        // Capture pointer on canvas click in scenes that use it; Escape releases it automatically.
         this.renderer.domElement.addEventListener('click', () => {
-            this.renderer.domElement.requestPointerLock();
+            if (this.currentScene?.usesPointerLock) this.requestPointerLock();
         });
 
         this.setUpUserInputListeners();
+        // Polled once per frame; scenes read its analogue sticks (gamepad.move / gamepad.look).
+        this.gamepad = new GamepadInput();
 
         // Assets loaded in run() before the first scene is initialised.
         this.assets = new Assets();
+
+        // Sound effects and music; silent until the first key press or click unlocks audio.
+        this.audio = new AudioManager(this.assets);
+
+        // Transition state: fadeLevel is the current opacity of the black #fade overlay,
+        // transition is null or the phase in progress ('out' | 'loading' | 'in')
+        this.fadeEl     = document.getElementById('fade');
+        this.fadeLevel  = 1;     // the page starts black and fades in on the first scene
+        this.fadeTarget = 1;
+        this.fadeDone   = null;  // resolves the promise returned by fade()
+        this.transition = null;
+
+        // render scale, shadows and volumes follow the settings from now on
+        this.applySettings();
+        settings.onChange(() => this.applySettings());
+
+        // `?debug` in the URL shows live listener and GPU resource counts (see debugStats())
+        this.debugEl = new URLSearchParams(window.location.search).has('debug') ? document.getElementById('debug') : null;
+        if (this.debugEl) this.debugEl.style.display = 'block';
+    }
+
+    /**
+     * The scene on top of the stack, which is updated and receives input; null before run().
+     * @returns {import('./Scene.js').Scene|null}
+     */
+    get currentScene() {
+        return this.sceneStack[this.sceneStack.length - 1] ?? null;
     }
 
     /**
-     * Replaces the current scene with the given one and calls its init() method.
+     * Replaces the whole scene stack with the given scene and calls its init() method.
+     * Every previous scene, top first, is exited and disposed, so it stops receiving DOM
+     * events and releases its GPU and audio resources. The audio listener moves to the new
+     * scene's camera and its music starts.
      * @param {import('./Scene.js').Scene} scene - The new scene to activate.
      */
     changeScene(scene) {
-        this.currentScene = scene;
-        this.currentScene.init();
+        for (const previous of this.sceneStack.reverse()) {
+            previous.exit();
+            previous.dispose();
+        }
+        this.sceneStack = [scene];
+        this.timestep.reset();
+        this.audio.setCamera(scene.camera ?? null);
+        this.audio.playMusic(scene.music);
+        scene.init();
+        scene.applySettings(settings);
+        this._syncPointerLock();
+    }
+
+    /**
+     * Switches to a scene with a fade through black. The scene's prepare() runs during the
+     * fade-out; then, if its requiredAssets() are not all loaded yet, a loading screen with
+     * per-asset progress is shown between the fades while they load. The outgoing scene is
+     * frozen and input is ignored until the new scene has faded in; a transition requested
+     * while another is running is ignored.
+     * If switching fails before the outgoing scene was replaced, the screen fades back in on
+     * it. Once it has been replaced (by the loading screen or the half-built new scene) it is
+     * gone, so the game transitions to the main menu instead and is never left locked behind
+     * the fade.
+     * @param {import('./Scene.js').Scene} scene - The new scene to activate.
+     * @returns {Promise<void>} Resolves when the new scene has faded in.
+     * @throws {Error} (as a rejection) If the new scene or its assets could not be set up.
+     */
+    async transitionTo(scene) {
+        if (this.transition) return;
+        const outgoing = this.currentScene;
+        this.transition = 'out';
+        try {
+            await Promise.all([this.fade(1), scene.prepare()]);
+
+            const missing = this.assets.missing(scene.requiredAssets());
+            if (missing.length > 0) {
+                const loading = new SceneLoading(this);
+                this.changeScene(loading);
+                this.transition = 'loading';
+                await this.fade(0);
+                await this.assets.load(missing, progress => loading.setProgress(progress));
+                this.transition = 'out';
+                await this.fade(1);
+            }
+
+            this.changeScene(scene);
+            this.transition = 'in';
+            await this.fade(0);
+            this.transition = null;
+        } catch (err) {
+            this.transition = null;
+            if (this.currentScene !== outgoing && !(scene instanceof SceneMenu)) {
+                this.transitionTo(new SceneMenu(this)).catch(menuErr => console.error(menuErr));
+            } else {
+                this.fade(0);
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Animates the black #fade overlay towards an opacity over FADE_TIME, driven by animate().
+     * @param {number} target - 1 for black, 0 for fully visible.
+     * @returns {Promise<void>} Resolves when the target is reached.
+     */
+    fade(target) {
+        this.fadeDone?.();
+        this.fadeTarget = target;
+        if (this.fadeLevel === target) return Promise.resolve();
+        return new Promise(resolve => { this.fadeDone = resolve; });
+    }
+
+    _updateFade(delta) {
+        if (this.fadeLevel === this.fadeTarget) return;
+        const step = delta / FADE_TIME;
+        this.fadeLevel = this.fadeTarget > this.fadeLevel
+            ? Math.min(this.fadeTarget, this.fadeLevel + step)
+            : Math.max(this.fadeTarget, this.fadeLevel - step);
+        if (this.fadeEl) this.fadeEl.style.opacity = String(this.fadeLevel);
+        if (this.fadeLevel === this.fadeTarget) {
+            const done = this.fadeDone;
+            this.fadeDone = null;
+            done?.();
+        }
+    }
+
+    /**
+     * Pushes an overlay scene on top of the current one and calls its init(). The covered
+     * scene is suspended: it keeps being rendered but is no longer updated or sent input.
+     * @param {import('./Scene.js').Scene} scene - The overlay to activate.
+     */
+    pushScene(scene) {
+        this.currentScene?.suspend();
+        this.sceneStack.push(scene);
+        this.timestep.reset();
+        scene.init();
+        scene.applySettings(settings);
+        this._syncPointerLock();
+    }
+
+    /**
+     * Exits and disposes the current scene and resumes the one below it.
+     * Does nothing if the current scene is the only one.
+     */
+    popScene() {
+        if (this.sceneStack.length < 2) return;
+        const top = this.sceneStack.pop();
+        top.exit();
+        top.dispose();
+        this.timestep.reset();
+        this.currentScene.resume();
+        this._syncPointerLock();
+    }
+
+    /**
+     * Applies the current settings: render scale, shadows and volumes here, then each stacked
+     * scene's own options through Scene.applySettings(). Called on every settings change.
+     */
+    applySettings() {
+        this.renderer.setPixelRatio(settings.get('renderScale'));
+
+        // materials compile differently with shadows on or off, so toggling them recompiles every scene's materials
+        const shadows = settings.get('shadowQuality') !== 'off';
+        if (this.renderer.shadowMap.enabled !== shadows) {
+            this.renderer.shadowMap.enabled = shadows;
+            for (const scene of this.sceneStack) {
+                scene.scene?.traverse(obj => {
+                    for (const material of [obj.material ?? []].flat()) material.needsUpdate = true;
+                });
+            }
+        }
+
+        this.audio.setVolume('master',  settings.get('masterVolume'));
+        this.audio.setVolume('effects', settings.get('effectsVolume'));
+        this.audio.setVolume('music',   settings.get('musicVolume'));
+
+        for (const scene of this.sceneStack) scene.applySettings(settings);
+    }
+
+    /**
+     * Requests pointer lock on the canvas. Browsers only grant it during a user gesture
+     * (a click or key press), so refusals are ignored.
+     */
+    requestPointerLock() {
+        const request = this.renderer.domElement.requestPointerLock();
+        request?.catch?.(() => {});
+    }
+
+    // captures the pointer if the current scene uses it, releases it otherwise
+    _syncPointerLock() {
+        const locked = document.pointerLockElement === this.renderer.domElement;
+        if (this.currentScene?.usesPointerLock && !locked) this.requestPointerLock();
+        if (!this.currentScene?.usesPointerLock && locked) document.exitPointerLock();
     }
 
     /**
      * Updates the renderer and camera aspect ratio when the browser window is resized.
      */
     onWindowResize() {
-        const cam = this.currentScene?.camera;
-        if (cam) {
+        for (const scene of this.sceneStack) {
+            const cam = scene.camera;
+            if (!cam) continue;
             cam.aspect = window.innerWidth / window.innerHeight;
             cam.updateProjectionMatrix();
         }
@@ -63,13 +275,30 @@ export class GameEngine {
     }
 
     /**
-     * Loads assets, initialises the first scene, then starts the game loop.
+     * Starts the game loop and transitions to the first scene, whose assets load behind the
+     * loading screen. If the page URL has a `?replay=<path>` parameter, that replay file is
+     * played instead of the menu.
      */
     async run() {
-        await this.assets.loadAssets();
-        // TODO: change first scene to SceneMenu
-        this.changeScene(new SceneMenu(this));
         this.animate();
+        await this.transitionTo(await this._firstScene()).catch(err => console.error(err));
+    }
+
+    /**
+     * Returns the scene to start with: playback of the replay named in the URL, else the main menu.
+     * @returns {Promise<import('./Scene.js').Scene>}
+     */
+    async _firstScene() {
+        const replayPath = new URLSearchParams(window.location.search).get('replay');
+        if (replayPath) {
+            try {
+                const replay = await loadReplayFile(replayPath);
+                return new ScenePlay(this, replay.seed, replay);
+            } catch (err) {
+                console.error(err);
+            }
+        }
+        return new SceneMenu(this);
     }
 
     /**
@@ -81,44 +310,108 @@ export class GameEngine {
 
     /**
      * Core game loop — called every frame via requestAnimationFrame.
-     * Computes delta time, then delegates update and render to the current scene.
+     * Computes delta time, polls the gamepad, advances the current scene in fixed steps,
+     * then renders the scene stack.
      */
     animate = (timestamp) => {
         if (!this.isRunning) return;
         requestAnimationFrame(this.animate);
         this.timer.update(timestamp);
-        const delta = Math.min(this.timer.getDelta(), 0.05);
+        const delta = Math.min(this.timer.getDelta(), MAX_FRAME_DELTA);
+        this.pollGamepad();
+        this._updateFade(delta);
         if (this.currentScene) {
-            this.currentScene.update(delta);
-            this.renderer.render(this.currentScene.scene, this.currentScene.camera);
+            // the outgoing scene holds still while it fades out
+            if (this.transition !== 'out') this.tick(delta);
+            this.render();
+        }
+        if (this.debugEl) {
+            const { listeners, geometries, textures } = this.debugStats();
+            this.debugEl.textContent = `listeners: ${listeners}  geometries: ${geometries}  textures: ${textures}`;
+        }
+    }
+
+    /**
+     * Returns counts for spotting leaks across scene changes: DOM listeners registered by
+     * scenes, and geometries and textures currently uploaded to the GPU.
+     * @returns {{listeners: number, geometries: number, textures: number}}
+     */
+    debugStats() {
+        const { geometries, textures } = this.renderer.info.memory;
+        return { listeners: liveListenerCount(), geometries, textures };
+    }
+
+    /**
+     * Advances the current scene by delta real seconds: calls update(SIMULATION_STEP) once per
+     * whole step banked, then sRender(alpha) with how far real time is past the last step,
+     * so meshes can be interpolated between the last two simulated states. Suspended scenes
+     * below it are synced with alpha 1, as they sit still at their latest step.
+     * Touches no DOM or GPU state itself.
+     * @param {number} delta - Real seconds elapsed since the last frame.
+     */
+    tick(delta) {
+        // read currentScene every step: an update may change scenes
+        const alpha = this.timestep.advance(delta, step => this.currentScene.update(step));
+        for (const scene of this.sceneStack) scene.sRender(scene === this.currentScene ? alpha : 1);
+    }
+
+    /**
+     * Draws the scene stack bottom to top. The depth buffer is cleared between scenes, so
+     * each overlay draws over everything below it.
+     */
+    render() {
+        this.renderer.clear();
+        for (const scene of this.sceneStack) {
+            this.renderer.clearDepth();
+            this.renderer.render(scene.scene, scene.camera);
         }
     }
 
+    /**
+     * Dispatches gamepad button presses and releases since the last poll to the current scene,
+     * exactly like key presses.
+     */
+    pollGamepad() {
+        const { pressed, released } = this.gamepad.poll();
+        for (const code of pressed)  this.pressInput(code);
+        for (const code of released) this.releaseInput(code);
+    }
+
+    /**
+     * Offers a key, mouse-button or gamepad-button press to the current scene: first to its
+     * rawInput(), then as a 'start' Action if its actionMap binds the input. Presses during
+     * a scene transition are dropped.
+     * @param {string} code - Input code ('KeyW', 'Mouse0', 'PadA').
+     */
+    pressInput(code) {
+        if (this.transition) return;
+        if (this.currentScene?.rawInput(code)) return;
+        const actionName = this.currentScene?.actionMap[code];
+        if (actionName) this.currentScene.doAction(new Action(actionName, 'start'));
+    }
+
+    /**
+     * Dispatches a 'stop' Action to the current scene if its actionMap binds the released input.
+     * @param {string} code - Input code ('KeyW', 'Mouse0', 'PadA').
+     */
+    releaseInput(code) {
+        const actionName = this.currentScene?.actionMap[code];
+        if (actionName) this.currentScene.doAction(new Action(actionName, 'stop'));
+    }
+
     /**
      * Registers DOM event listeners for keyboard and mouse input.
      * Translates each event into an Action and dispatches it to the current scene.
+     * The first press also unlocks audio, which browsers only allow during a user gesture.
      */
     setUpUserInputListeners() {
         // Translate raw keyboard/mouse events into Action objects and dispatch
         // them to the current scene's doAction method.
-        document.addEventListener('keydown', (e) => {
-            const actionName = this.currentScene?.actionMap[e.code];
-            if (actionName) this.currentScene.doAction(new Action(actionName, 'start'));
-        });
-        document.addEventListener('keyup', (e) => {
-            const actionName = this.currentScene?.actionMap[e.code];
-            if (actionName) this.currentScene.doAction(new Action(actionName, 'stop'));
-        });
-        document.addEventListener('mousedown', (e) => {
-            const key = `Mouse${e.button}`;
-            const actionName = this.currentScene?.actionMap[key];
-            if (actionName) this.currentScene.doAction(new Action(actionName, 'start'));
-        });
-        document.addEventListener('mouseup', (e) => {
-            const key = `Mouse${e.button}`;
-            const actionName = this.currentScene?.actionMap[key];
-            if (actionName) this.currentScene.doAction(new Action(actionName, 'stop'));
-        });
+        // a held key repeats its keydown; only the first one is a press
+        document.addEventListener('keydown',   (e) => { this.audio.unlock(); if (!e.repeat) this.pressInput(e.code); });
+        document.addEventListener('keyup',     (e) => this.releaseInput(e.code));
+        document.addEventListener('mousedown', (e) => { this.audio.unlock(); this.pressInput(`Mouse${e.button}`); });
+        document.addEventListener('mouseup',   (e) => this.releaseInput(`Mouse${e.button}`));
         window.addEventListener('resize', () => this.onWindowResize());
     }
 }
@@ -0,0 +1,86 @@
+/**
+ * Gamepad polling through the Gamepad API.
+ *
+ * Browsers do not fire events for gamepad buttons, so GameEngine polls once per frame.
+ * Buttons of the standard mapping are named like keys ('PadA', 'PadStart', 'PadUp', ...) and
+ * go through the scene's actionMap exactly like keyboard codes. The sticks are read as
+ * analogue axes with a deadzone and a response curve: the left stick moves, the right one looks.
+ */
+
+// input codes of the standard-mapping buttons, by button index
+const BUTTON_CODES = [
+    'PadA', 'PadB', 'PadX', 'PadY',
+    'PadLB', 'PadRB', 'PadLT', 'PadRT',
+    'PadBack', 'PadStart', 'PadLS', 'PadRS',
+    'PadUp', 'PadDown', 'PadLeft', 'PadRight',
+    'PadHome',
+];
+
+/**
+ * Maps a raw stick axis in [-1, 1] through a deadzone and a power curve: values inside the
+ * deadzone read 0, the rest is rescaled to (0, 1] and raised to `exponent`, which gives fine
+ * control near the centre while keeping full deflection at 1.
+ * @param {number} value
+ * @param {number} deadzone - Fraction of the axis range that reads as 0.
+ * @param {number} exponent - Response curve; 1 is linear.
+ * @returns {number}
+ */
+export function applyDeadzone(value, deadzone, exponent) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+    const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+    return Math.sign(value) * scaled ** exponent;
+}
+
+/**
+ * Tracks the first connected gamepad between polls.
+ */
+export class GamepadInput {
+    /**
+     * @param {function(): Array<Gamepad|null>} [getGamepads] - Source of gamepad snapshots; defaults
+     *        to navigator.getGamepads(). Pass a stub to drive the class without a browser.
+     * @param {Object} [options]
+     * @param {number} [options.deadzone=0.15]  - Stick deadzone (see applyDeadzone()).
+     * @param {number} [options.exponent=2]     - Stick response curve (see applyDeadzone()).
+     * @param {number} [options.threshold=0.5]  - Analogue button value (triggers) above which a button counts as pressed.
+     */
+    constructor(getGamepads = () => (typeof navigator !== 'undefined' && navigator.getGamepads?.()) || [],
+                { deadzone = 0.15, exponent = 2, threshold = 0.5 } = {}) {
+        this.getGamepads = getGamepads;
+        this.deadzone  = deadzone;
+        this.exponent  = exponent;
+        this.threshold = threshold;
+
+        this.connected = false;
+        this.held = new Set();        // codes of buttons down at the last poll
+        this.move = { x: 0, y: 0 };   // left stick after deadzone and curve; y is down-positive as in the API
+        this.look = { x: 0, y: 0 };   // right stick after deadzone and curve
+    }
+
+    /**
+     * Reads the current gamepad state and returns which buttons changed since the last poll.
+     * Stick values are rounded to hundredths, so a recorded replay reproduces them exactly.
+     * When the pad disconnects, every held button is reported released.
+     * @returns {{pressed: string[], released: string[]}}
+     */
+    poll() {
+        const pad = [...this.getGamepads()].find(p => p?.connected);
+        this.connected = !!pad;
+
+        const held = new Set();
+        if (pad) {
+            pad.buttons.forEach((button, i) => {
+                if (BUTTON_CODES[i] && (button.pressed || button.value > this.threshold)) held.add(BUTTON_CODES[i]);
+            });
+        }
+
+        const axis = i => Math.round(applyDeadzone(pad?.axes[i] ?? 0, this.deadzone, this.exponent) * 100) / 100;
+        this.move = { x: axis(0), y: axis(1) };
+        this.look = { x: axis(2), y: axis(3) };
+
+        const pressed  = [...held].filter(code => !this.held.has(code));
+        const released = [...this.held].filter(code => !held.has(code));
+        this.held = held;
+        return { pressed, released };
+    }
+}
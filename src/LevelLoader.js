@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+
+/**
+ * Level file loading and validation.
+ *
+ * A level is a JSON object describing one arena. Only `arena.radius` and `playerSpawn`
+ * are required; every other field falls back to the values of the built-in arena.
+ *
+ * {
+ *   "name": "Sand Arena",
+ *   "arena":        { "radius": 22, "color": "#706653", "normalMap": "brick", "dome": true },
+ *   "walls":        { "segments": 64, "thickness": 1.2, "height": 10 },
+ *   "obstacles":    [ { "position": [x, y, z], "size": [w, h, d],
+ *                       "material": { "color": "#8c7a5c", "normalMap": "brick", "tileSize": 1 } } ],
+ *   "torches":      { "count": 8, "radius": 19.5, "height": 2.5, "tangentOffset": 8,
+ *                     "light": { "color": "#ff6a00", "intensity": 2, "distance": 14 } },
+ *   "arches":       { "model": "arch", "count": 8, "scale": 0.5 },
+ *   "playerSpawn":  [x, y, z],
+ *   "zombieSpawns": [ [x, y, z], ... ],
+ *   "waves":        "waves/default.json",
+ *   "lighting": {
+ *     "background":  "#1e0b33",
+ *     "fog":         { "color": "#000000", "near": 16, "far": 28 },
+ *     "ambient":     { "color": "#1a0a2e", "intensity": 0.02 },
+ *     "pointLights": [ { "position": [x, y, z], "color": "#ffeedd", "intensity": 120,
+ *                        "distance": 30, "decay": 2, "castShadow": true,
+ *                        "shadow": { "mapSize": 1024, "near": 1, "far": 30, "bias": 0, "normalBias": 0.5 } } ]
+ *   }
+ * }
+ *
+ * Positions are world-space centres, sizes are full extents, colors are CSS color strings
+ * and normalMap/model values are asset names from assets.json. "fog" and "arches" may be null.
+ * "waves" is the path of the wave script run in the arena (see WaveLoader.js).
+ */
+
+// largest arena a level may declare; the navigation grid covers the whole arena, one cell per unit
+const MAX_ARENA_RADIUS = 200;
+
+/**
+ * Fetches a level file and returns the validated level description.
+ * @param {string} path - URL or path to the level JSON file.
+ * @returns {Promise<Object>} Resolves with the output of parseLevel().
+ */
+export async function loadLevelFile(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`Level "${path}": request failed with status ${response.status}`);
+    }
+
+    let json;
+    try {
+        json = await response.json();
+    } catch (err) {
+        throw new Error(`Level "${path}": file is not valid JSON (${err.message})`);
+    }
+    return parseLevel(json, path);
+}
+
+/**
+ * Validates raw level JSON and converts it into a normalised level description with
+ * defaults filled in, vectors as THREE.Vector3 and colors as THREE.Color.
+ * @param {Object} json     - Parsed contents of a level file.
+ * @param {string} [source='level'] - Name used to prefix error messages.
+ * @returns {Object} The normalised level description.
+ * @throws {Error} If any field is missing or has the wrong type.
+ */
+export function parseLevel(json, source = 'level') {
+    const fail = (field, message) => {
+        throw new Error(`Level "${source}": "${field}" ${message}`);
+    };
+
+    const object = (value, field) => {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            fail(field, `must be an object, got ${JSON.stringify(value)}`);
+        }
+        return value;
+    };
+
+    const number = (value, field, fallback, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+        if (value === undefined) {
+            if (fallback === undefined) fail(field, 'is required');
+            return fallback;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            fail(field, `must be a number, got ${JSON.stringify(value)}`);
+        }
+        if (integer && !Number.isInteger(value)) fail(field, `must be an integer, got ${value}`);
+        if (value < min) fail(field, `must be at least ${min}, got ${value}`);
+        if (value > max) fail(field, `must be at most ${max}, got ${value}`);
+        return value;
+    };
+
+    const vector = (value, field, fallback) => {
+        if (value === undefined) {
+            if (fallback === undefined) fail(field, 'is required');
+            return fallback.clone();
+        }
+        if (!Array.isArray(value) || value.length !== 3 || value.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+            fail(field, `must be an array of 3 numbers, got ${JSON.stringify(value)}`);
+        }
+        return new THREE.Vector3(...value);
+    };
+
+    const color = (value, field, fallback) => {
+        if (value === undefined) return new THREE.Color(fallback);
+        if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+            fail(field, `must be a color string like "#ff8800", got ${JSON.stringify(value)}`);
+        }
+        return new THREE.Color(value);
+    };
+
+    const string = (value, field, fallback) => {
+        if (value === undefined) return fallback;
+        if (typeof value !== 'string') fail(field, `must be a string, got ${JSON.stringify(value)}`);
+        return value;
+    };
+
+    const boolean = (value, field, fallback) => {
+        if (value === undefined) return fallback;
+        if (typeof value !== 'boolean') fail(field, `must be true or false, got ${JSON.stringify(value)}`);
+        return value;
+    };
+
+    const array = (value, field) => {
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) fail(field, `must be an array, got ${JSON.stringify(value)}`);
+        return value;
+    };
+
+    object(json, 'root');
+
+    const arenaJson = object(json.arena ?? {}, 'arena');
+    const arena = {
+        radius:    number(arenaJson.radius, 'arena.radius', undefined, { min: 1, max: MAX_ARENA_RADIUS }),
+        color:     color(arenaJson.color, 'arena.color', 0x706653),
+        normalMap: string(arenaJson.normalMap, 'arena.normalMap', 'brick'),
+        dome:      boolean(arenaJson.dome, 'arena.dome', true),
+    };
+
+    const wallsJson = object(json.walls ?? {}, 'walls');
+    const walls = {
+        segments:  number(wallsJson.segments, 'walls.segments', 64, { min: 3, integer: true }),
+        thickness: number(wallsJson.thickness, 'walls.thickness', 1.2, { min: 0.01 }),
+        height:    number(wallsJson.height, 'walls.height', 10, { min: 0.01 }),
+    };
+
+    const obstacles = array(json.obstacles, 'obstacles').map((o, i) => {
+        const field = `obstacles[${i}]`;
+        object(o, field);
+        const size = vector(o.size, `${field}.size`);
+        if (size.x <= 0 || size.y <= 0 || size.z <= 0) fail(`${field}.size`, 'must have positive components');
+        const mat = object(o.material ?? {}, `${field}.material`);
+        return {
+            position: vector(o.position, `${field}.position`),
+            size,
+            material: {
+                color:     color(mat.color, `${field}.material.color`, 0x8c7a5c),
+                normalMap: string(mat.normalMap, `${field}.material.normalMap`, null),
+                tileSize:  number(mat.tileSize, `${field}.material.tileSize`, 1, { min: 0.01 }),
+            },
+        };
+    });
+
+    const torchesJson = object(json.torches ?? { count: 0 }, 'torches');
+    const torchLight = object(torchesJson.light ?? {}, 'torches.light');
+    const torches = {
+        count:         number(torchesJson.count, 'torches.count', 0, { min: 0, integer: true }),
+        radius:        number(torchesJson.radius, 'torches.radius', arena.radius - 2.5, { min: 0 }),
+        height:        number(torchesJson.height, 'torches.height', 2.5),
+        tangentOffset: number(torchesJson.tangentOffset, 'torches.tangentOffset', 0),
+        light: {
+            color:     color(torchLight.color, 'torches.light.color', 0xff6a00),
+            intensity: number(torchLight.intensity, 'torches.light.intensity', 2, { min: 0 }),
+            distance:  number(torchLight.distance, 'torches.light.distance', 14, { min: 0 }),
+        },
+    };
+
+    let arches = null;
+    if (json.arches != null) {
+        const archesJson = object(json.arches, 'arches');
+        arches = {
+            model: string(archesJson.model, 'arches.model', 'arch'),
+            count: number(archesJson.count, 'arches.count', 8, { min: 0, integer: true }),
+            scale: number(archesJson.scale, 'arches.scale', 1, { min: 0 }),
+        };
+    }
+
+    const playerSpawn  = vector(json.playerSpawn, 'playerSpawn');
+    const zombieSpawns = array(json.zombieSpawns, 'zombieSpawns').map((p, i) => vector(p, `zombieSpawns[${i}]`));
+    const waves        = string(json.waves, 'waves', 'waves/default.json');
+
+    const lightingJson = object(json.lighting ?? {}, 'lighting');
+    let fog = null;
+    if (lightingJson.fog != null) {
+        const fogJson = object(lightingJson.fog, 'lighting.fog');
+        fog = {
+            color: color(fogJson.color, 'lighting.fog.color', 0x000000),
+            near:  number(fogJson.near, 'lighting.fog.near', undefined, { min: 0 }),
+            far:   number(fogJson.far, 'lighting.fog.far', undefined, { min: 0 }),
+        };
+        if (fog.far <= fog.near) fail('lighting.fog.far', `must be greater than near (${fog.near})`);
+    }
+    const ambientJson = object(lightingJson.ambient ?? {}, 'lighting.ambient');
+    const lighting = {
+        background: color(lightingJson.background, 'lighting.background', 0x000000),
+        fog,
+        ambient: {
+            color:     color(ambientJson.color, 'lighting.ambient.color', 0xffffff),
+            intensity: number(ambientJson.intensity, 'lighting.ambient.intensity', 0.1, { min: 0 }),
+        },
+        pointLights: array(lightingJson.pointLights, 'lighting.pointLights').map((l, i) => {
+            const field = `lighting.pointLights[${i}]`;
+            object(l, field);
+            const shadow = object(l.shadow ?? {}, `${field}.shadow`);
+            return {
+                position:   vector(l.position, `${field}.position`),
+                color:      color(l.color, `${field}.color`, 0xffffff),
+                intensity:  number(l.intensity, `${field}.intensity`, 1, { min: 0 }),
+                distance:   number(l.distance, `${field}.distance`, 0, { min: 0 }),
+                decay:      number(l.decay, `${field}.decay`, 2, { min: 0 }),
+                castShadow: boolean(l.castShadow, `${field}.castShadow`, false),
+                shadow: {
+                    mapSize:    number(shadow.mapSize, `${field}.shadow.mapSize`, 1024, { min: 1, integer: true }),
+                    near:       number(shadow.near, `${field}.shadow.near`, 0.5, { min: 0 }),
+                    far:        number(shadow.far, `${field}.shadow.far`, 500, { min: 0 }),
+                    bias:       number(shadow.bias, `${field}.shadow.bias`, 0),
+                    normalBias: number(shadow.normalBias, `${field}.shadow.normalBias`, 0),
+                },
+            };
+        }),
+    };
+
+    return {
+        name: string(json.name, 'name', source),
+        arena,
+        walls,
+        obstacles,
+        torches,
+        arches,
+        playerSpawn,
+        zombieSpawns,
+        waves,
+        lighting,
+    };
+}
@@ -1,31 +1,43 @@
 import * as THREE from 'three';
+import { OBB } from 'three/examples/jsm/math/OBB.js';
+import { getOBBBounds, satOBB } from './utils.js';
 
 const CELL_SIZE  = 1;
-const GRID_HALF  = 22;
-const GRID_SIZE  = GRID_HALF * 2; // 44 cells per side
+
+// the grid reaches at least this far from the centre, and further when the walkable area needs it
+const MIN_GRID_HALF = 22;
 
 const SQRT2 = Math.SQRT2;
 
+// obstacles whose top is at or below this height are walkable surfaces (e.g. the floor)
+const FLOOR_Y = 0.01;
+
 /**
  * 2D navigation grid over the arena floor (XZ plane).
- * Cells outside the circular arena boundary or overlapping static obstacles
- * are marked as blocked. Used by findPath() for A* pathfinding.
+ * Cells outside the circular arena boundary or overlapping the XZ footprint of a
+ * static obstacle are marked as blocked. Used by findPath() for A* pathfinding.
  */
 export class NavigationGrid {
     /**
      * @param {number} walkableRadius  - World-space radius inside which cells are walkable.
-     * @param {Array<{minX,maxX,minZ,maxZ}>} obstacles - Axis-aligned obstacle footprints.
+     * @param {OBB[]}  obstacles       - Oriented bounding boxes of static collision geometry.
+     *                                   Boxes lying entirely at or below the floor are ignored.
      */
     constructor(walkableRadius, obstacles = []) {
+        // half-width in world units, and cells per side
+        this.half = Math.max(MIN_GRID_HALF, Math.ceil(walkableRadius / CELL_SIZE + 1) * CELL_SIZE);
+        this.size = Math.round(this.half * 2 / CELL_SIZE);
+        const size = this.size;
+
         // flat Uint8Array: 0 = walkable, 1 = blocked
-        this._cells = new Uint8Array(GRID_SIZE * GRID_SIZE);
+        this._cells = new Uint8Array(size * size);
 
-        for (let row = 0; row < GRID_SIZE; row++) {
-            for (let col = 0; col < GRID_SIZE; col++) {
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
                 const { x, z } = this.cellToWorld(col, row);
                 // block cells outside the circular walkable area
                 if (x * x + z * z > walkableRadius * walkableRadius) {
-                    this._cells[row * GRID_SIZE + col] = 1;
+                    this._cells[row * size + col] = 1;
                 }
             }
         }
@@ -35,15 +47,34 @@ export class NavigationGrid {
         }
     }
 
-    _markObstacle({ minX, maxX, minZ, maxZ }) {
-        // expand by half a cell so edges are safely blocked
+    /**
+     * Blocks every cell whose column overlaps the obstacle's footprint.
+     * Each cell is tested as a tall box against the OBB with SAT, so rotated
+     * obstacles block exactly the cells they cover.
+     * @param {OBB} obb
+     */
+    _markObstacle(obb) {
+        // world-space bounds of the rotated box, used for the broad cell range and floor test
+        const { min, max } = getOBBBounds(obb);
+        if (max.y <= FLOOR_Y) return;
+
+        // cells whose square can reach the box: their centres lie within half a cell of it
         const pad = CELL_SIZE * 0.5;
-        for (let row = 0; row < GRID_SIZE; row++) {
-            for (let col = 0; col < GRID_SIZE; col++) {
+        const clamp = (v) => Math.max(0, Math.min(this.size - 1, v));
+        const minCol = clamp(Math.floor((min.x - pad + this.half) / CELL_SIZE));
+        const maxCol = clamp(Math.floor((max.x + pad + this.half) / CELL_SIZE));
+        const minRow = clamp(Math.floor((min.z - pad + this.half) / CELL_SIZE));
+        const maxRow = clamp(Math.floor((max.z + pad + this.half) / CELL_SIZE));
+
+        const halfY = (max.y - min.y) / 2 + 1;
+        // each cell's square, so the blocked margin around the box is half a cell
+        const cellBox = new OBB(new THREE.Vector3(), new THREE.Vector3(CELL_SIZE * 0.5, halfY, CELL_SIZE * 0.5));
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
                 const { x, z } = this.cellToWorld(col, row);
-                if (x >= minX - pad && x <= maxX + pad &&
-                    z >= minZ - pad && z <= maxZ + pad) {
-                    this._cells[row * GRID_SIZE + col] = 1;
+                cellBox.center.set(x, obb.center.y, z);
+                if (satOBB(cellBox, obb)) {
+                    this._cells[row * this.size + col] = 1;
                 }
             }
         }
@@ -51,23 +82,23 @@ export class NavigationGrid {
 
     /** Convert world XZ to grid column/row. Returns null if out of bounds. */
     worldToCell(x, z) {
-        const col = Math.floor((x + GRID_HALF) / CELL_SIZE);
-        const row = Math.floor((z + GRID_HALF) / CELL_SIZE);
-        if (col < 0 || col >= GRID_SIZE || row < 0 || row >= GRID_SIZE) return null;
+        const col = Math.floor((x + this.half) / CELL_SIZE);
+        const row = Math.floor((z + this.half) / CELL_SIZE);
+        if (col < 0 || col >= this.size || row < 0 || row >= this.size) return null;
         return { col, row };
     }
 
     /** Convert grid column/row to world XZ center of that cell. */
     cellToWorld(col, row) {
         return {
-            x: (col + 0.5) * CELL_SIZE - GRID_HALF,
-            z: (row + 0.5) * CELL_SIZE - GRID_HALF,
+            x: (col + 0.5) * CELL_SIZE - this.half,
+            z: (row + 0.5) * CELL_SIZE - this.half,
         };
     }
 
     isWalkableCell(col, row) {
-        if (col < 0 || col >= GRID_SIZE || row < 0 || row >= GRID_SIZE) return false;
-        return this._cells[row * GRID_SIZE + col] === 0;
+        if (col < 0 || col >= this.size || row < 0 || row >= this.size) return false;
+        return this._cells[row * this.size + col] === 0;
     }
 }
 
@@ -107,12 +138,12 @@ export function findPath(grid, from, to) {
         if (!found) return [];
     }
 
-    const key = (c, r) => r * GRID_SIZE + c;
+    const key = (c, r) => r * grid.size + c;
 
-    const gScore  = new Float32Array(GRID_SIZE * GRID_SIZE).fill(Infinity);
-    const fScore  = new Float32Array(GRID_SIZE * GRID_SIZE).fill(Infinity);
-    const parent  = new Int32Array(GRID_SIZE * GRID_SIZE).fill(-1);
-    const closed  = new Uint8Array(GRID_SIZE * GRID_SIZE);
+    const gScore  = new Float32Array(grid.size * grid.size).fill(Infinity);
+    const fScore  = new Float32Array(grid.size * grid.size).fill(Infinity);
+    const parent  = new Int32Array(grid.size * grid.size).fill(-1);
+    const closed  = new Uint8Array(grid.size * grid.size);
 
     const sk = key(startCell.col, startCell.row);
     gScore[sk] = 0;
@@ -135,8 +166,8 @@ export function findPath(grid, from, to) {
         const current = open[bestIdx];
         open.splice(bestIdx, 1);
 
-        const curRow = Math.floor(current / GRID_SIZE);
-        const curCol = current % GRID_SIZE;
+        const curRow = Math.floor(current / grid.size);
+        const curCol = current % grid.size;
 
         if (curCol === goalCell.col && curRow === goalCell.row) {
             return reconstructPath(grid, parent, current, key(startCell.col, startCell.row));
@@ -181,8 +212,8 @@ function reconstructPath(grid, parent, goalKey, startKey) {
     const path = [];
     let current = goalKey;
     while (current !== startKey && current !== -1) {
-        const row = Math.floor(current / GRID_SIZE);
-        const col = current % GRID_SIZE;
+        const row = Math.floor(current / grid.size);
+        const col = current % grid.size;
         const { x, z } = grid.cellToWorld(col, row);
         path.push(new THREE.Vector3(x, 0, z));
         current = parent[current];
@@ -0,0 +1,64 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ *
+ * Every gameplay system draws from the scene's instance instead of Math.random(), so a
+ * run started with the same seed (and the same input) plays out the same way.
+ */
+export class Random {
+    /**
+     * @param {number} seed - Any integer; only the low 32 bits are used.
+     */
+    constructor(seed) {
+        this.seed  = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Returns the next uniform number in [0, 1). Bound to the instance, so it can be passed
+     * anywhere a Math.random-style function is expected.
+     * @returns {number}
+     */
+    next = () => {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+/**
+ * Returns a fresh random 32-bit seed for a new run.
+ * @returns {number}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Converts user-supplied seed text into a 32-bit seed. Whole numbers are used as-is;
+ * any other text is hashed (FNV-1a), so words work as seeds too.
+ * @param {string} text
+ * @returns {number|null} The seed, or null if text is empty.
+ */
+export function parseSeed(text) {
+    const trimmed = String(text ?? '').trim();
+    if (!trimmed) return null;
+    if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Returns the seed given in the page URL's `?seed=` parameter, or null if there is none.
+ * @returns {number|null}
+ */
+export function seedFromURL() {
+    if (typeof window === 'undefined') return null;
+    return parseSeed(new URLSearchParams(window.location.search).get('seed'));
+}
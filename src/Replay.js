@@ -0,0 +1,193 @@
+/**
+ * Input recording and playback for deterministic replays.
+ *
+ * A run is fully determined by its RNG seed, its level and the input the simulation saw on
+ * each fixed step, so a replay stores exactly that:
+ *
+ * {
+ *   "format": "wizard-arena-replay", "version": 2,
+ *   "seed": 1335831723, "level": "levels/arena.json", "step": 0.016666666666666666,
+ *   "frames": [ { "h": ["moveForward"], "m": [4, -2], "l": true, "g": [0, -0.5, 0.2, 0], "a": [["attack", "start"]] }, {}, ... ]
+ * }
+ *
+ * Each frame is one simulation step. "h" lists the held actions, "l" the pointer-lock state and
+ * "g" the gamepad sticks (left x, left y, right x, right y), and all three are only written
+ * when they change; "m" is the mouse movement during the step and "a" the actions
+ * dispatched, both omitted when empty. Input is stored as actions
+ * rather than keys, and look input after the sensitivity and invert-Y settings, so a replay
+ * plays back the same whatever the viewer's key bindings and settings.
+ */
+
+const REPLAY_FORMAT  = 'wizard-arena-replay';
+const REPLAY_VERSION = 2;
+
+/**
+ * Collects the input of every simulation step of a run.
+ */
+export class InputRecorder {
+    /**
+     * @param {number} seed  - Seed of the run's Random.
+     * @param {string} level - Path of the level file the run plays.
+     * @param {number} step  - Simulation step length in seconds.
+     */
+    constructor(seed, level, step) {
+        this.seed  = seed;
+        this.level = level;
+        this.step  = step;
+        this.frames = [];
+
+        this._lastHeld   = '';
+        this._lastLocked = false;
+        this._lastPad    = '0,0,0,0';
+    }
+
+    /**
+     * Appends one step of input.
+     * @param {Object}   frame
+     * @param {string[]} frame.held    - Names of the actions held during the step, sorted.
+     * @param {number}   frame.dx      - Mouse movement along x during the step, scaled by sensitivity.
+     * @param {number}   frame.dy      - Mouse movement along y during the step, scaled and inverted per the settings.
+     * @param {boolean}  frame.locked  - Whether the pointer was locked.
+     * @param {number[]} frame.pad     - Gamepad sticks as [moveX, moveY, lookX, lookY].
+     * @param {Array<{name: string, type: string}>} frame.actions - Actions dispatched during the step.
+     */
+    record({ held, dx, dy, locked, pad, actions }) {
+        const out = {};
+        const heldString = held.join(',');
+        if (heldString !== this._lastHeld) {
+            out.h = [...held];
+            this._lastHeld = heldString;
+        }
+        if (dx !== 0 || dy !== 0) out.m = [dx, dy];
+        if (locked !== this._lastLocked) {
+            out.l = locked;
+            this._lastLocked = locked;
+        }
+        const padString = pad.join(',');
+        if (padString !== this._lastPad) {
+            out.g = [...pad];
+            this._lastPad = padString;
+        }
+        if (actions.length > 0) out.a = actions.map(a => [a.name, a.type]);
+        this.frames.push(out);
+    }
+
+    /**
+     * Returns the recording as a replay object (see module docs), ready for JSON.stringify().
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            format:  REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed:    this.seed,
+            level:   this.level,
+            step:    this.step,
+            frames:  this.frames,
+        };
+    }
+}
+
+/**
+ * Feeds the frames of a replay back one simulation step at a time.
+ */
+export class ReplayPlayer {
+    /**
+     * @param {Object} replay - A replay returned by parseReplay() or InputRecorder.toJSON().
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.index  = 0;
+
+        this._held   = [];
+        this._locked = false;
+        this._pad    = [0, 0, 0, 0];
+    }
+
+    /**
+     * True once every frame has been played.
+     * @returns {boolean}
+     */
+    get finished() {
+        return this.index >= this.replay.frames.length;
+    }
+
+    /**
+     * Returns the input of the next simulation step, in the shape InputRecorder.record() takes,
+     * or null once the replay is finished.
+     * @returns {Object|null}
+     */
+    next() {
+        if (this.finished) return null;
+        const f = this.replay.frames[this.index++];
+        if (f.h) this._held = f.h;
+        if (f.l !== undefined) this._locked = f.l;
+        if (f.g) this._pad = f.g;
+        return {
+            held:    this._held,
+            dx:      f.m?.[0] ?? 0,
+            dy:      f.m?.[1] ?? 0,
+            locked:  this._locked,
+            pad:     this._pad,
+            actions: (f.a ?? []).map(([name, type]) => ({ name, type })),
+        };
+    }
+}
+
+/**
+ * Validates raw replay JSON.
+ * @param {Object} json - Parsed contents of a replay file.
+ * @param {string} [source='replay'] - Name used to prefix error messages.
+ * @returns {Object} The replay.
+ * @throws {Error} If the file is not a replay, has an unsupported version, or is malformed.
+ */
+export function parseReplay(json, source = 'replay') {
+    const fail = (message) => { throw new Error(`Replay "${source}": ${message}`); };
+
+    if (json === null || typeof json !== 'object' || json.format !== REPLAY_FORMAT) fail('not a replay file');
+    if (json.version !== REPLAY_VERSION) fail(`unsupported version ${JSON.stringify(json.version)} (expected ${REPLAY_VERSION})`);
+    if (!Number.isInteger(json.seed)) fail(`"seed" must be an integer, got ${JSON.stringify(json.seed)}`);
+    if (typeof json.level !== 'string') fail(`"level" must be a string, got ${JSON.stringify(json.level)}`);
+    if (typeof json.step !== 'number' || json.step <= 0) fail(`"step" must be a positive number, got ${JSON.stringify(json.step)}`);
+    if (!Array.isArray(json.frames)) fail('"frames" must be an array');
+    json.frames.forEach((f, i) => {
+        if (f === null || typeof f !== 'object') fail(`"frames[${i}]" must be an object`);
+    });
+    return json;
+}
+
+/**
+ * Fetches a replay file and returns the validated replay.
+ * @param {string} path - URL or path to the replay JSON file.
+ * @returns {Promise<Object>} Resolves with the output of parseReplay().
+ */
+export async function loadReplayFile(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`Replay "${path}": request failed with status ${response.status}`);
+    }
+
+    let json;
+    try {
+        json = await response.json();
+    } catch (err) {
+        throw new Error(`Replay "${path}": file is not valid JSON (${err.message})`);
+    }
+    return parseReplay(json, path);
+}
+
+/**
+ * Offers a replay to the user as a JSON file download.
+ * @param {Object} replay - A replay returned by InputRecorder.toJSON().
+ * @param {string} [filename] - Suggested file name.
+ */
+export function downloadReplay(replay, filename = `wizard-arena-${replay.seed}.replay.json`) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // the download reads the blob after this task ends, so keep the URL alive until then
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
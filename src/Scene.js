@@ -1,7 +1,26 @@
+import { disposeObject } from './utils.js';
+
+// DOM listeners currently registered through Scene.listen(), across all scenes
+let liveListeners = 0;
+
+/**
+ * Returns how many DOM listeners scenes have registered and not yet removed. After a scene
+ * change this should only count the listeners of the current scene.
+ * @returns {number}
+ */
+export function liveListenerCount() {
+    return liveListeners;
+}
 
 /**
  * Abstract base class for all game scenes (e.g. main menu, gameplay, cutscene).
  * Subclasses override update(), sDoAction(), and sRender() with scene-specific logic.
+ *
+ * Lifecycle: GameEngine calls init() when the scene becomes current, and exit() then dispose()
+ * when it is replaced or popped. DOM listeners registered with listen() are removed by exit();
+ * the Three.js resources in this.scene are released by dispose(). While an overlay scene is
+ * pushed on top of it, a scene is suspended: it is still rendered but no longer updated and
+ * receives no actions, until resume() is called when the overlay is popped.
  */
 export class Scene {
     /**
@@ -11,9 +30,85 @@ export class Scene {
         this.gameEngine = gameEngine;
         this.entityManager = null;
         this.actionMap = {};
-        this.isPaused = false;
         this.hasEnded = false;
         this.scene = null;
+        this.listeners = []; // DOM listeners added with listen(): [{target, type, handler}]
+        this.usesPointerLock = false; // GameEngine captures the pointer while a scene with this set is on top
+        this.music = null; // audio asset looped while this scene is at the bottom of the stack; null is silence
+    }
+
+    /**
+     * Adds a DOM event listener that is removed automatically when the scene exits.
+     * @param {EventTarget} target  - e.g. document or window.
+     * @param {string}      type    - Event type, e.g. 'keydown'.
+     * @param {function(Event)} handler
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+        liveListeners++;
+    }
+
+    /**
+     * Called by GameEngine when the scene stops being current. Removes every listener added
+     * with listen(); subclasses extend it to hide their DOM elements and release other hooks.
+     */
+    exit() {
+        for (const { target, type, handler } of this.listeners) target.removeEventListener(type, handler);
+        liveListeners -= this.listeners.length;
+        this.listeners = [];
+    }
+
+    /**
+     * Called by GameEngine.transitionTo() while the outgoing scene fades out, before
+     * requiredAssets(). Scenes whose assets depend on a data file (such as a level) read it here.
+     * @returns {Promise<void>}
+     */
+    async prepare() {}
+
+    /**
+     * Names of the assets (see assets.json) this scene uses. GameEngine.transitionTo() loads
+     * any that are missing, behind a loading screen, after prepare() and before calling init().
+     * @returns {string[]}
+     */
+    requiredAssets() {
+        return [];
+    }
+
+    /**
+     * Called by GameEngine when an overlay scene is pushed on top of this one. Subclasses
+     * override it to hide their DOM elements or drop input they were tracking.
+     */
+    suspend() {
+        // to be overridden by subclasses
+    }
+
+    /**
+     * Called by GameEngine when the overlay on top of this scene is popped and it is current again.
+     */
+    resume() {
+        // to be overridden by subclasses
+    }
+
+    /**
+     * Called by GameEngine after init() and whenever a setting changes. Subclasses override it
+     * to apply the options that concern them, such as the camera's field of view.
+     * @param {import('./Settings.js').Settings} settings
+     */
+    applySettings(settings) {
+        // to be overridden by subclasses
+    }
+
+    /**
+     * Called by GameEngine after exit(). Disposes the geometries, materials, textures and
+     * shadow maps of everything in this.scene, except resources shared through Assets.
+     * The scene must not be updated or rendered afterwards.
+     */
+    dispose() {
+        if (!this.scene) return;
+        const assets = this.gameEngine.assets;
+        disposeObject(this.scene, resource => assets?.isShared(resource) ?? false);
+        this.scene.clear();
     }
 
     /**
@@ -24,8 +119,8 @@ export class Scene {
     }
 
     /**
-     * Called once per frame by GameEngine. Subclasses run all game systems here.
-     * @param {number} delta - Elapsed time in seconds since the last frame.
+     * Called by GameEngine once per fixed simulation step. Subclasses run all game systems here.
+     * @param {number} delta - Length of the step in seconds (always GameEngine's SIMULATION_STEP).
      */
     update() {
         // to be overridden by subclasses
@@ -42,12 +137,25 @@ export class Scene {
 
     /**
      * Renders all entities that have a MeshComponent.
+     * Called by GameEngine once per displayed frame, after the frame's simulation steps.
      * Subclasses override this to sync Three.js mesh transforms.
+     * @param {number} [alpha=1] - How far (0–1) real time is between the previous and the latest simulation step.
      */
     sRender() {
         // to be overridden by subclasses; renders all entities with mesh components
     }
 
+    /**
+     * Called by GameEngine with the code of every key or mouse-button press ('KeyW', 'Mouse0')
+     * before it is looked up in the actionMap. Scenes that need raw input, such as a rebinding
+     * screen, override this and return true to consume the press.
+     * @param {string} code
+     * @returns {boolean} True if the press was consumed and should not become an action.
+     */
+    rawInput(code) {
+        return false;
+    }
+
     /**
      * Public entry point for dispatching an action to this scene.
      * Delegates to sDoAction(), which subclasses override.
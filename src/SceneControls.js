@@ -0,0 +1,104 @@
+import { SceneOverlay } from './SceneOverlay.js';
+import { bindings, inputLabel } from './Bindings.js';
+
+// Colors
+const COLOR_HEADER = 0x4466cc;
+const COLOR_LABEL  = 0x7788aa;
+
+// Layout: bindable actions fill two columns, followed by Reset and Back
+const ROWS    = 7;
+const COLUMNS = [-3, 3];
+const TOP     = 2.0;
+const SPACING = 0.45;
+
+/**
+ * Key binding screen, pushed as an overlay from the main menu and the pause menu.
+ * Lists every bindable action with its inputs (see Bindings.js). Enter on an action waits for
+ * the next key, mouse button or gamepad button: one of the action's own inputs is removed from
+ * it, any other input is added to it (Escape cancels). An input already bound to another
+ * action is only moved once it is pressed a second time. Changes are saved immediately.
+ */
+export class SceneControls extends SceneOverlay {
+
+    constructor(gameEngine) {
+        super(gameEngine);
+        this.awaitingBinding = false; // true while the selected action waits for an input
+        this.pendingMove = null;      // input of another action pressed once; pressing it again moves it
+    }
+
+    init() {
+        super.init();
+
+        this.createText('Controls', { y: 2.8, size: 0.45, color: COLOR_HEADER, emissive: 0x2244aa, emissiveIntensity: 0.4 });
+        this.createText('Enter / A: add or remove an input  -  Esc / B: back', { y: -2.1, size: 0.16, color: COLOR_LABEL, emissive: 0x112233, emissiveIntensity: 0.15 });
+
+        // one row per bindable action, then Reset Defaults and Back under the columns
+        bindings.actions().forEach(({ name }, i) => {
+            const option = this.addOption(this._bindingText(name), () => this._awaitBinding(option), {
+                x: COLUMNS[Math.floor(i / ROWS)],
+                y: TOP - (i % ROWS) * SPACING,
+                size: 0.2,
+            });
+            option.action = name;
+        });
+        const bottom = TOP - ROWS * SPACING - 0.2;
+        this.addOption('Reset Defaults', () => this._resetBindings(), { x: COLUMNS[0], y: bottom });
+        this.addOption('Back', () => this.close(), { x: COLUMNS[1], y: bottom });
+    }
+
+    /**
+     * While an action waits for an input, the next key or mouse/gamepad button is removed from
+     * it if it already has it and added to it otherwise (Escape cancels), and saved. An input
+     * of another action is only taken from that action when it is pressed twice in a row.
+     */
+    rawInput(code) {
+        if (!this.awaitingBinding) return false;
+
+        const option = this.options[this.selectedOption];
+        const owner = code === 'Escape' ? null : bindings.actionFor(code);
+        if (owner && owner !== option.action && this.pendingMove !== code) {
+            this.pendingMove = code;
+            this.setText(option, `${inputLabel(code)} is ${this._label(owner)}: press again to move it`);
+            return true;
+        }
+
+        if (owner === option.action) {
+            bindings.removeInput(option.action, code);
+            bindings.save();
+        } else if (code !== 'Escape') {
+            bindings.addInput(option.action, code);
+            bindings.save();
+        }
+        this.awaitingBinding = false;
+        this.pendingMove = null;
+        // a moved input changes another action's row too, so refresh every row
+        this._refreshBindingTexts();
+        return true;
+    }
+
+    _awaitBinding(option) {
+        this.awaitingBinding = true;
+        this.setText(option, this._bindingText(option.action, true));
+    }
+
+    _bindingText(action, awaiting = false) {
+        const keys = bindings.keysFor(action).map(inputLabel).join(' / ');
+        return `${this._label(action)}:  ${awaiting ? 'press an input...' : keys || '(unbound)'}`;
+    }
+
+    _label(action) {
+        return bindings.actions().find(a => a.name === action).label;
+    }
+
+    _refreshBindingTexts() {
+        for (const option of this.options) {
+            if (option.action) this.setText(option, this._bindingText(option.action));
+        }
+    }
+
+    _resetBindings() {
+        bindings.reset();
+        bindings.save();
+        this._refreshBindingTexts();
+    }
+}
@@ -5,6 +5,7 @@ import { SceneMenu } from './SceneMenu.js';
 import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
 import { EntityManager } from './EntityManager.js';
 import * as C from './Components.js';
+import { downloadReplay } from './Replay.js';
 
 // Colors
 const COLOR_SELECTED   = 0x00ffaa;
@@ -15,8 +16,10 @@ export class SceneDeath extends Scene {
     /**
      * @param {import('./GameEngine.js').GameEngine} gameEngine
      * @param {number} score - The player's final score to display.
+     * @param {number|null} [seed=null] - Seed of the run that just ended; shown and offered for replay.
+     * @param {Object|null} [replay=null] - Input recording of the run (see Replay.js); offered for watching and saving.
      */
-    constructor(gameEngine, score = 0) {
+    constructor(gameEngine, score = 0, seed = null, replay = null) {
         super(gameEngine);
 
         this.scene = new THREE.Scene();
@@ -24,6 +27,8 @@ export class SceneDeath extends Scene {
         this.entityManager = new EntityManager();
 
         this.score = score;
+        this.seed = seed;
+        this.replay = replay;
 
         // Render state
         this.addedMeshes = new Set();
@@ -31,12 +36,17 @@ export class SceneDeath extends Scene {
 
         // Menu state
         this.selectedOption = 0;
-        this.menuOptions = [];   // [{entity, mesh, material}]
+        this.menuOptions = [];   // [{entity, mesh, material, onSelect}]
         this.elapsedTime = 0;
         this.titleMesh = null;
+        this.music = 'music-menu';
         this.titleMaterial = null;
     }
 
+    requiredAssets() {
+        return ['menu-title', 'menu-regular', 'default', 'brick', this.music];
+    }
+
     init() {
         this.camera.position.set(0, 1.5, 5);
 
@@ -46,6 +56,9 @@ export class SceneDeath extends Scene {
         this.registerAction('ArrowDown', 'down');
         this.registerAction('Enter',     'enter');
         this.registerAction('Space',     'enter');
+        this.registerAction('PadUp',     'up');
+        this.registerAction('PadDown',   'down');
+        this.registerAction('PadA',      'enter');
 
         // Dark red background
         this.scene.background = new THREE.Color(0x0d0000);
@@ -109,8 +122,24 @@ export class SceneDeath extends Scene {
 
         this._createTitle(font);
         this._createScoreText(regularFont);
-        this._createMenuButton('Replay', regularFont, 0.2, 0);
-        this._createMenuButton('Menu',   regularFont, -0.8, 1);
+        if (this.seed !== null) this._createSeedText(regularFont);
+        const goTo = (scene) => this.gameEngine.transitionTo(scene).catch(err => console.error(err));
+        const buttons = [
+            ['Replay', () => goTo(new ScenePlay(this.gameEngine))],
+            // same seed, same waves — reproduces the run for bug reports and practice
+            ['Replay Seed', () => goTo(new ScenePlay(this.gameEngine, this.seed ?? undefined))],
+        ];
+        if (this.replay) {
+            buttons.push(['Watch Replay', () => goTo(new ScenePlay(this.gameEngine, this.replay.seed, this.replay))]);
+            buttons.push(['Save Replay',  () => downloadReplay(this.replay)]);
+        }
+        buttons.push(['Menu', () => goTo(new SceneMenu(this.gameEngine))]);
+
+        // stack the buttons downward from just below the score
+        const spacing = buttons.length > 3 ? 0.55 : 0.7;
+        buttons.forEach(([text, onSelect], i) => {
+            this._createMenuButton(text, regularFont, 0.3 - i * spacing, i, onSelect);
+        });
 
         this._updateHighlight();
     }
@@ -169,7 +198,29 @@ export class SceneDeath extends Scene {
         entity.addComponent(new C.PositionComponent(new THREE.Vector3(0, 1.6, 0)));
     }
 
-    _createMenuButton(text, font, yPos, optionIndex) {
+    _createSeedText(font) {
+        const entity = this.entityManager.addEntity('deathSeed');
+        const geo = new TextGeometry(`Seed: ${this.seed}`, {
+            font,
+            size: 0.2,
+            depth: 0.04,
+            curveSegments: 8,
+            bevelEnabled: false,
+        });
+        geo.center();
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xaa8866,
+            emissive: 0xaa8866,
+            emissiveIntensity: 0.2,
+            metalness: 0.3,
+            roughness: 0.6,
+        });
+        const mesh = new THREE.Mesh(geo, material);
+        entity.addComponent(new C.MeshComponent(mesh, true, false));
+        entity.addComponent(new C.PositionComponent(new THREE.Vector3(0, 1.05, 0)));
+    }
+
+    _createMenuButton(text, font, yPos, optionIndex, onSelect) {
         const entity = this.entityManager.addEntity('deathButton');
         const geo = new TextGeometry(text, {
             font,
@@ -191,7 +242,7 @@ export class SceneDeath extends Scene {
         const mesh = new THREE.Mesh(geo, material);
         entity.addComponent(new C.MeshComponent(mesh, true, false));
         entity.addComponent(new C.PositionComponent(new THREE.Vector3(0, yPos, 0)));
-        this.menuOptions[optionIndex] = { entity, mesh, material };
+        this.menuOptions[optionIndex] = { entity, mesh, material, onSelect };
     }
 
     _updateHighlight() {
@@ -214,7 +265,6 @@ export class SceneDeath extends Scene {
     update(delta) {
         this.elapsedTime += delta;
         this.sMovement(delta);
-        this.sRender(delta);
         this.entityManager.update();
     }
 
@@ -245,7 +295,7 @@ export class SceneDeath extends Scene {
         }
     }
 
-    sRender(delta) {
+    sRender() {
         for (const entity of this.entityManager.getWithComponentName('MeshComponent')) {
             const meshComp = entity.getComponent('MeshComponent');
             if (!meshComp.mesh) continue;
@@ -286,11 +336,7 @@ export class SceneDeath extends Scene {
             this._updateHighlight();
         }
         if (action.name === 'enter') {
-            if (this.selectedOption === 0) {
-                this.gameEngine.changeScene(new ScenePlay(this.gameEngine));
-            } else {
-                this.gameEngine.changeScene(new SceneMenu(this.gameEngine));
-            }
+            this.menuOptions[this.selectedOption].onSelect();
         }
     }
 }
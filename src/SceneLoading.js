@@ -0,0 +1,42 @@
+import * as THREE from 'three';
+import { Scene } from './Scene.js';
+
+/**
+ * Shown by GameEngine.transitionTo() while the assets the next scene needs are loaded.
+ * Draws a plain background and a DOM progress bar naming the asset that just finished, so
+ * it works before any font or model is available.
+ */
+export class SceneLoading extends Scene {
+
+    constructor(gameEngine) {
+        super(gameEngine);
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+
+        this.loadingEl = document.getElementById('loading');
+        this.textEl    = document.getElementById('loading-text');
+        this.barEl     = document.getElementById('loading-bar');
+    }
+
+    init() {
+        this.scene.background = new THREE.Color(0x05050d);
+        if (this.loadingEl) this.loadingEl.style.display = 'block';
+        this.setProgress({ loaded: 0, total: 0, name: null });
+    }
+
+    /**
+     * Updates the progress bar; pass it as the onProgress callback of Assets.load().
+     * @param {{loaded: number, failed?: number, total: number, name: string|null}} progress
+     */
+    setProgress({ loaded, failed = 0, total, name }) {
+        const failures = failed > 0 ? `, ${failed} failed` : '';
+        if (this.textEl) this.textEl.textContent = name ? `Loading... ${name} (${loaded}/${total}${failures})` : 'Loading...';
+        if (this.barEl) this.barEl.style.width = `${total > 0 ? (loaded / total) * 100 : 0}%`;
+    }
+
+    exit() {
+        if (this.loadingEl) this.loadingEl.style.display = 'none';
+        super.exit();
+    }
+}
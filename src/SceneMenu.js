@@ -4,10 +4,8 @@ import { ScenePlay } from './ScenePlay.js';
 import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
 import { EntityManager } from './EntityManager.js';
 import * as C from "./Components.js"
-
-// Menu states
-const STATE_MAIN = 0;
-const STATE_CONTROLS = 1;
+import { SceneControls } from './SceneControls.js';
+import { SceneSettings } from './SceneSettings.js';
 
 // Colors
 const COLOR_SELECTED   = 0x00ffaa;
@@ -27,12 +25,15 @@ export class SceneMenu extends Scene {
         this.addedLights = new Set();
 
         // Menu state
-        this.menuState = STATE_MAIN;
         this.selectedOption = 0;
         this.menuOptions = [];       // [{entity, mesh, material}]
-        this.controlsEntities = [];  // entities shown in controls view
         this.elapsedTime = 0;
         this.titleMesh = null;
+        this.music = 'music-menu';
+    }
+
+    requiredAssets() {
+        return ['menu-title', 'menu-regular', 'default', 'brick', this.music];
     }
 
     init() {
@@ -47,6 +48,10 @@ export class SceneMenu extends Scene {
         this.registerAction('Space',     'enter');
         this.registerAction('Escape',    'back');
         this.registerAction('Backspace', 'back');
+        this.registerAction('PadUp',     'up');
+        this.registerAction('PadDown',   'down');
+        this.registerAction('PadA',      'enter');
+        this.registerAction('PadB',      'back');
 
         // Dark background
         this.scene.background = new THREE.Color(0x000000);
@@ -123,8 +128,9 @@ export class SceneMenu extends Scene {
         this._createTitle(font);
 
         // --- Menu buttons ---
-        this._createMenuButton('Play Game',     regularFont, 0.5, 0);
-        this._createMenuButton('Show Controls', regularFont, -0.5, 1);
+        this._createMenuButton('Play Game',     regularFont, 0.6, 0);
+        this._createMenuButton('Show Controls', regularFont, -0.2, 1);
+        this._createMenuButton('Settings',      regularFont, -1.0, 2);
 
         // Update highlight immediately
         this._updateHighlight();
@@ -184,83 +190,13 @@ export class SceneMenu extends Scene {
         this.menuOptions[optionIndex] = { entity, mesh, material };
     }
 
-    _createControlsView() {
-        const font = this.gameEngine.assets.fonts['menu-regular'] || this.gameEngine.assets.fonts['default'];
-
-        const controls = [
-            { text: 'Controls',        size: 0.45, y: 2.8 },
-            { text: 'W A S D  -  Move',       size: 0.25, y: 1.6 },
-            { text: 'Mouse  -  Look Around',  size: 0.25, y: 0.9 },
-            { text: 'Click  -  Attack',        size: 0.25, y: 0.2 },
-            { text: 'Space  -  Jump',          size: 0.25, y: -0.5 },
-            { text: 'P  -  Pause',             size: 0.25, y: -1.2 },
-        ];
-
-        for (const { text, size, y } of controls) {
-            const entity = this.entityManager.addEntity("controlsText");
-            const geo = new TextGeometry(text, {
-                font,
-                size,
-                depth: 0.05,
-                curveSegments: 8,
-                bevelEnabled: true,
-                bevelThickness: 0.01,
-                bevelSize: 0.005,
-                bevelOffset: 0,
-                bevelSegments: 2
-            });
-            geo.center();
-            const isHeader = y === 2.8;
-            const material = new THREE.MeshStandardMaterial({
-                color: isHeader ? 0x4466cc : 0x7788aa,
-                emissive: isHeader ? 0x2244aa : 0x112233,
-                emissiveIntensity: isHeader ? 0.4 : 0.15,
-                metalness: 0.4,
-                roughness: 0.5,
-            });
-            const mesh = new THREE.Mesh(geo, material);
-            entity.addComponent(new C.MeshComponent(mesh, true, false));
-            entity.addComponent(new C.PositionComponent(new THREE.Vector3(0, y, 0)));
-            this.controlsEntities.push(entity);
-        }
-
-        // Back button
-        const backEntity = this.entityManager.addEntity("controlsText");
-        const backGeo = new TextGeometry('Back (Esc)', {
-            font,
-            size: 0.25,
-            depth: 0.05,
-            curveSegments: 8,
-            bevelEnabled: true,
-            bevelThickness: 0.01,
-            bevelSize: 0.005,
-            bevelOffset: 0,
-            bevelSegments: 2
-        });
-        backGeo.center();
-        const backMaterial = new THREE.MeshStandardMaterial({
-            color: COLOR_SELECTED,
-            emissive: 0x004422,
-            emissiveIntensity: 0.3,
-            metalness: 0.3,
-            roughness: 0.6,
-        });
-        const backMesh = new THREE.Mesh(backGeo, backMaterial);
-        backEntity.addComponent(new C.MeshComponent(backMesh, true, false));
-        backEntity.addComponent(new C.PositionComponent(new THREE.Vector3(0, -2.2, 0)));
-        this.controlsEntities.push(backEntity);
+    // hide the buttons and title while an overlay covers the menu
+    suspend() {
+        this._setMenuVisible(false);
     }
 
-    _destroyControlsView() {
-        for (const entity of this.controlsEntities) {
-            const meshComp = entity.getComponent('MeshComponent');
-            if (meshComp?.mesh) {
-                this.scene.remove(meshComp.mesh);
-                this.addedMeshes.delete(meshComp.mesh);
-            }
-            entity.destroy();
-        }
-        this.controlsEntities = [];
+    resume() {
+        this._setMenuVisible(true);
     }
 
     _setMenuVisible(visible) {
@@ -293,7 +229,6 @@ export class SceneMenu extends Scene {
     update(delta) {
         this.elapsedTime += delta;
         this.sMovement(delta);
-        this.sRender(delta);
         this.entityManager.update();
     }
 
@@ -323,16 +258,14 @@ export class SceneMenu extends Scene {
         }
 
         // pulse on selected button
-        if (this.menuState === STATE_MAIN) {
-            const sel = this.menuOptions[this.selectedOption];
-            if (sel) {
-                const pulse = 1.15 + Math.sin(t * 3) * 0.05;
-                sel.mesh.scale.setScalar(pulse);
-            }
+        const sel = this.menuOptions[this.selectedOption];
+        if (sel) {
+            const pulse = 1.15 + Math.sin(t * 3) * 0.05;
+            sel.mesh.scale.setScalar(pulse);
         }
     }
 
-    sRender(delta) {
+    sRender() {
         for (const entity of this.entityManager.getWithComponentName('MeshComponent')) {
             const meshComp = entity.getComponent('MeshComponent');
             if (!meshComp.mesh) continue;
@@ -368,16 +301,6 @@ export class SceneMenu extends Scene {
     sDoAction(action) {
         if (action.type !== 'start') return;
 
-        if (this.menuState === STATE_CONTROLS) {
-            // Any key in controls view goes back to main menu
-            if (action.name === 'back' || action.name === 'enter') {
-                this._destroyControlsView();
-                this._setMenuVisible(true);
-                this.menuState = STATE_MAIN;
-            }
-            return;
-        }
-
         // Main menu actions
         if (action.name === 'down') {
             this.selectedOption = (this.selectedOption + 1) % this.menuOptions.length;
@@ -390,12 +313,13 @@ export class SceneMenu extends Scene {
         if (action.name === 'enter') {
             if (this.selectedOption === 0) {
                 // Play Game — switch to gameplay scene
-                this.gameEngine.changeScene(new ScenePlay(this.gameEngine));
+                this.gameEngine.transitionTo(new ScenePlay(this.gameEngine)).catch(err => console.error(err));
             } else if (this.selectedOption === 1) {
-                // Show Controls
-                this._setMenuVisible(false);
-                this._createControlsView();
-                this.menuState = STATE_CONTROLS;
+                // Show Controls — the key binding screen, as an overlay (see SceneControls.js)
+                this.gameEngine.pushScene(new SceneControls(this.gameEngine));
+            } else if (this.selectedOption === 2) {
+                // Settings — graphics, camera and audio options, as an overlay (see SceneSettings.js)
+                this.gameEngine.pushScene(new SceneSettings(this.gameEngine));
             }
         }
     }
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { Scene } from './Scene.js';
+import { TextGeometry } from 'three/examples/jsm/geometries/TextGeometry.js';
+import { EntityManager } from './EntityManager.js';
+import * as C from './Components.js';
+
+// Colors
+const COLOR_SELECTED   = 0x00ffaa;
+const COLOR_UNSELECTED = 0x556677;
+
+/**
+ * Base class for scenes pushed on top of another with GameEngine.pushScene(), such as the
+ * pause menu. An overlay draws over the scene below it, dimmed by a translucent backdrop,
+ * and shows a list of selectable text options navigated with up/down, enter and back.
+ * Back closes the overlay, resuming the scene underneath.
+ *
+ * Subclasses call super.init() and then lay out their text with createText() and addOption().
+ */
+export class SceneOverlay extends Scene {
+    /**
+     * @param {import('./GameEngine.js').GameEngine} gameEngine
+     */
+    constructor(gameEngine) {
+        super(gameEngine);
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+        this.entityManager = new EntityManager();
+
+        // Render state
+        this.addedMeshes = new Set();
+
+        // Menu state
+        this.selectedOption = 0;
+        this.options = [];  // [{entity, mesh, material, size, onSelect}]
+        this.elapsedTime = 0;
+        this.font = null;
+    }
+
+    requiredAssets() {
+        return ['menu-regular', 'default'];
+    }
+
+    init() {
+        this.camera.position.set(0, 1.5, 5);
+
+        this.registerAction('KeyW',      'up');
+        this.registerAction('ArrowUp',   'up');
+        this.registerAction('KeyS',      'down');
+        this.registerAction('ArrowDown', 'down');
+        this.registerAction('Enter',     'enter');
+        this.registerAction('Space',     'enter');
+        this.registerAction('Escape',    'back');
+        this.registerAction('Backspace', 'back');
+        this.registerAction('PadUp',     'up');
+        this.registerAction('PadDown',   'down');
+        this.registerAction('PadA',      'enter');
+        this.registerAction('PadB',      'back');
+
+        // no background: the scene below shows through, dimmed by a backdrop behind the text
+        this.scene.background = null;
+        const backdrop = new THREE.Mesh(
+            new THREE.PlaneGeometry(60, 60),
+            new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.65, depthWrite: false }),
+        );
+        backdrop.position.set(0, 1.5, -1);
+        this.scene.add(backdrop);
+
+        this.scene.add(new THREE.AmbientLight(0x334466, 2));
+        const keyLight = new THREE.DirectionalLight(0x6688cc, 2);
+        keyLight.position.set(0, 4, 5);
+        this.scene.add(keyLight);
+
+        this.font = this.gameEngine.assets.fonts['menu-regular'] || this.gameEngine.assets.fonts['default'];
+    }
+
+    /**
+     * Adds a line of centred 3D text.
+     * @param {string} text
+     * @param {Object} opts
+     * @param {number} opts.y                       - Vertical position of the text's centre.
+     * @param {number} [opts.x=0]                   - Horizontal position of the text's centre.
+     * @param {number} [opts.size=0.25]             - Text height.
+     * @param {number} [opts.color=COLOR_UNSELECTED]
+     * @param {number} [opts.emissive=0x000000]
+     * @param {number} [opts.emissiveIntensity=0]
+     * @returns {{entity: import('./Entity.js').Entity, mesh: THREE.Mesh, material: THREE.MeshStandardMaterial, size: number}}
+     */
+    createText(text, { y, x = 0, size = 0.25, color = COLOR_UNSELECTED, emissive = 0x000000, emissiveIntensity = 0 }) {
+        const entity = this.entityManager.addEntity('overlayText');
+        const material = new THREE.MeshStandardMaterial({
+            color,
+            emissive,
+            emissiveIntensity,
+            metalness: 0.4,
+            roughness: 0.5,
+        });
+        const mesh = new THREE.Mesh(this._textGeometry(text, size), material);
+        entity.addComponent(new C.MeshComponent(mesh, false, false));
+        entity.addComponent(new C.PositionComponent(new THREE.Vector3(x, y, 0)));
+        return { entity, mesh, material, size };
+    }
+
+    /**
+     * Adds a selectable line of text; Enter on it calls onSelect.
+     * @param {string} text
+     * @param {function(): void} onSelect
+     * @param {Object} opts - Layout, as for createText().
+     * @returns {Object} The option, usable with setText().
+     */
+    addOption(text, onSelect, opts) {
+        const option = { ...this.createText(text, opts), onSelect };
+        this.options.push(option);
+        this._updateHighlight();
+        return option;
+    }
+
+    /**
+     * Replaces the text of a line made by createText() or addOption().
+     * @param {{mesh: THREE.Mesh, size: number}} line
+     * @param {string} text
+     */
+    setText(line, text) {
+        line.mesh.geometry.dispose();
+        line.mesh.geometry = this._textGeometry(text, line.size);
+    }
+
+    /**
+     * Removes this overlay from the engine's scene stack, resuming the scene below.
+     */
+    close() {
+        this.gameEngine.popScene();
+    }
+
+    _textGeometry(text, size) {
+        const geo = new TextGeometry(text, {
+            font: this.font,
+            size,
+            depth: 0.05,
+            curveSegments: 8,
+            bevelEnabled: true,
+            bevelThickness: 0.01,
+            bevelSize: 0.005,
+            bevelOffset: 0,
+            bevelSegments: 2
+        });
+        geo.center();
+        return geo;
+    }
+
+    _updateHighlight() {
+        this.options.forEach((opt, i) => {
+            const selected = i === this.selectedOption;
+            opt.material.color.setHex(selected ? COLOR_SELECTED : COLOR_UNSELECTED);
+            opt.material.emissive.setHex(selected ? COLOR_SELECTED : 0x000000);
+            opt.material.emissiveIntensity = selected ? 0.3 : 0;
+            opt.mesh.scale.setScalar(1);
+        });
+    }
+
+    update(delta) {
+        this.elapsedTime += delta;
+
+        // pulse on selected option
+        const sel = this.options[this.selectedOption];
+        if (sel) sel.mesh.scale.setScalar(1.08 + Math.sin(this.elapsedTime * 3) * 0.04);
+
+        this.entityManager.update();
+    }
+
+    sRender() {
+        for (const entity of this.entityManager.getWithComponentName('MeshComponent')) {
+            const meshComp = entity.getComponent('MeshComponent');
+            if (!meshComp.mesh) continue;
+
+            if (!this.addedMeshes.has(meshComp.mesh)) {
+                this.scene.add(meshComp.mesh);
+                this.addedMeshes.add(meshComp.mesh);
+            }
+
+            const position = entity.getComponent('PositionComponent')?.position;
+            if (position != null) meshComp.mesh.position.copy(position);
+        }
+    }
+
+    sDoAction(action) {
+        if (action.type !== 'start') return;
+
+        const count = this.options.length;
+        if (action.name === 'down' && count > 0) {
+            this.selectedOption = (this.selectedOption + 1) % count;
+            this._updateHighlight();
+        }
+        if (action.name === 'up' && count > 0) {
+            this.selectedOption = (this.selectedOption - 1 + count) % count;
+            this._updateHighlight();
+        }
+        if (action.name === 'enter') this.options[this.selectedOption]?.onSelect();
+        if (action.name === 'back') this.close();
+    }
+}
@@ -0,0 +1,51 @@
+import { SceneOverlay } from './SceneOverlay.js';
+import { SceneControls } from './SceneControls.js';
+import { SceneSettings } from './SceneSettings.js';
+import { SceneMenu } from './SceneMenu.js';
+import { bindings } from './Bindings.js';
+
+// Colors
+const COLOR_STATS = 0x99aacc;
+
+/**
+ * Pause menu, pushed over a ScenePlay when the player pauses or releases the pointer.
+ * Shows the run's stats; the run underneath is suspended until Resume (or back, or the pause
+ * binding again) pops this overlay.
+ */
+export class ScenePause extends SceneOverlay {
+    /**
+     * @param {import('./GameEngine.js').GameEngine} gameEngine
+     * @param {Object|null} [stats=null] - The paused run's ScenePlay.runStats().
+     */
+    constructor(gameEngine, stats = null) {
+        super(gameEngine);
+        this.stats = stats;
+    }
+
+    init() {
+        super.init();
+
+        // the pause binding toggles the menu off again
+        for (const code of bindings.keysFor('pause')) this.registerAction(code, 'back');
+
+        this.createText('Paused', { y: 2.6, size: 0.6, color: 0x4466cc, emissive: 0x2244aa, emissiveIntensity: 0.4 });
+
+        if (this.stats) {
+            const { score, kills, wave, time, hp, maxHp } = this.stats;
+            const stat = { size: 0.2, color: COLOR_STATS, emissive: 0x223344, emissiveIntensity: 0.2 };
+            this.createText(`Score ${score}   Kills ${kills}   Wave ${wave}`, { y: 1.85, ...stat });
+            this.createText(`Time ${formatTime(time)}   Health ${hp}/${maxHp}`, { y: 1.5, ...stat });
+        }
+
+        this.addOption('Resume',       () => this.close(), { y: 0.8, size: 0.35 });
+        this.addOption('Controls',     () => this.gameEngine.pushScene(new SceneControls(this.gameEngine)), { y: 0.1, size: 0.35 });
+        this.addOption('Settings',     () => this.gameEngine.pushScene(new SceneSettings(this.gameEngine)), { y: -0.6, size: 0.35 });
+        this.addOption('Quit to Menu', () => this.gameEngine.transitionTo(new SceneMenu(this.gameEngine)).catch(err => console.error(err)), { y: -1.3, size: 0.35 });
+    }
+}
+
+// formats seconds as m:ss
+function formatTime(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
@@ -3,20 +3,60 @@ import { Scene } from './Scene.js';
 import { EntityManager } from './EntityManager.js';
 import * as C from './Components.js';
 import { getOBB, satOBB } from './utils.js';
-import { setFireballComponents } from './Factories/FireballFactory.js';
+import { SpatialGrid } from './SpatialGrid.js';
+import { EventBus } from './EventBus.js';
+import { registerContactDamage, registerCombustion, registerSpellHits, dealDamage } from './CollisionRules.js';
+import { spells } from './SpellRegistry.js';
+import { enemies } from './EnemyRegistry.js';
+import { setProjectileComponents } from './Factories/ProjectileFactory.js';
 import { setZombieComponents } from './Factories/ZombieFactory.js';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
 import { SceneDeath } from './SceneDeath.js';
 import { NavigationGrid, findPath } from './NavigationGrid.js';
-
-// config file for level data, not currently used but will be for loading different levels/worlds
-const LEVEL_PATH = "";
-
-// zombie speed starts at 1 and increases by 0.2 per kill with no cap
+import { loadLevelFile } from './LevelLoader.js';
+import { loadWaveFile, pickSpawnPoint } from './WaveLoader.js';
+import { WaveDirector } from './WaveDirector.js';
+import { Random, randomSeed, seedFromURL } from './Random.js';
+import { InputRecorder, ReplayPlayer } from './Replay.js';
+import { Action } from './Action.js';
+import { bindings } from './Bindings.js';
+import { ScenePause } from './ScenePause.js';
+import { settings, SHADOW_MAP_SCALE } from './Settings.js';
+
+// level file loaded when no other level is requested (see LevelLoader.js for the format)
+const LEVEL_PATH = "levels/arena.json";
+
+// wave script run when the level's own script fails to load (see WaveLoader.js for the format)
+const WAVES_PATH = "waves/default.json";
+
+// zombie speed multiplier (applied to each archetype's speed) starts at 1 and increases by 0.2 per kill with no cap
 const ZOMBIE_START_SPEED    = 1;
 const ZOMBIE_SPEED_PER_KILL = 0.2;
 
+// player is invulnerable for this long at spawn and after every hit
+const PLAYER_SPAWN_INVULN_TIME = 0.5;
+const PLAYER_HIT_INVULN_TIME   = 0.75;
+
+// player mana pool and regeneration per second
+const PLAYER_MAX_MANA   = 100;
+const PLAYER_MANA_REGEN = 12;
+
+// spells in the player's spellbook, in slot order (the rest of the registry is for enemy casters)
+const PLAYER_SPELLS = ['fireball', 'frostbolt', 'chainLightning', 'arcaneLance', 'meteor'];
+
+// camera turn in radians per pixel of mouse movement at sensitivity 1
+const MOUSE_LOOK_SCALE = 0.002;
+
+// audio assets: one-shots for scene events, the torches' loop and the arena music
+const SOUNDS = {
+    cast:  'sfx-cast',
+    hit:   'sfx-hit',
+    death: 'sfx-death',
+    hurt:  'sfx-hurt',
+    torch: 'sfx-torch',
+    music: 'music-arena',
+};
+
 // scenes hold all the game state and logic for a particular mode (e.g. main menu, gameplay, etc.)
 
 /**
@@ -24,218 +64,504 @@ const ZOMBIE_SPEED_PER_KILL = 0.2;
  *
  * Owns the Three.js scene graph, camera, entity manager, and all ECS systems.
  * Systems are implemented as methods (sCameraControl, sMovement, etc.) and called
- * each frame from update(). Input is read from this.input, which is populated by
- * _initInputListeners() and sDoAction().
+ * each simulation step from update(). Input is read from this.input, which is filled at the
+ * start of every step from the live DOM input (and recorded) or, when watching a replay,
+ * from the replay's frames. Actions are queued and dispatched at the same point, so a
+ * recorded run replays identically.
  */
 export class ScenePlay extends Scene {
     /**
      * @param {import('./GameEngine.js').GameEngine} gameEngine
+     * @param {number} [seed] - Seed for all gameplay randomness; defaults to the page's `?seed=` parameter, else a fresh random seed.
+     * @param {Object|null} [replay=null] - Replay to play back instead of live input (see Replay.js); its seed and level override the defaults.
      */
-    constructor(gameEngine) {
+    constructor(gameEngine, seed = seedFromURL() ?? randomSeed(), replay = null) {
         super(gameEngine);
 
+        // every gameplay system draws random numbers from this.rng, so a seed reproduces a run
+        this.seed = replay?.seed ?? seed;
+        this.rng  = new Random(this.seed);
+
+        // input of every simulation step is recorded, or fed from the replay being watched
+        this.replay   = replay;
+        this.playback = replay ? new ReplayPlayer(replay) : null;
+        this.recorder = null; // created in init() once the level path is known
+
         this.scene  = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
         this.entityManager = new EntityManager();
-        this.player = null;
+        this.player = null; // the player the camera follows; see EntityManager.getPlayers() for all of them
+
+        // Level and wave script read by prepare() ahead of init(): { path, level, waveScript }
+        this.prepared = null;
+
+        // Parsed level description; set once loadLevel() resolves
+        this.level = null;
+        this.levelLoaded = false;
 
         this.playerConfig = {
-            x: 0, y: 5, z: 0,
             speed: 10,
             jumpStrength: 11,
             gravity: 24,
         };
 
-        // Input state
+        // Input state seen by the systems during the current simulation step;
+        // held maps the names of actions whose keys are down to true, pad holds the gamepad sticks
         this.input = {
-            keys:  { KeyW: false, KeyA: false, KeyS: false, KeyD: false, Space: false },
-            mouse: { dx: 0, dy: 0, buttons: 0, locked: false },
+            held:  {},
+            mouse: { dx: 0, dy: 0, locked: false },
+            pad:   { move: { x: 0, y: 0 }, look: { x: 0, y: 0 } },
+        };
+
+        // Raw DOM input and queued actions since the last simulation step;
+        // keys maps key codes and 'Mouse<button>' names to whether they are down
+        this.liveInput = {
+            keys:  {},
+            mouse: { dx: 0, dy: 0, locked: false },
         };
+        this.pendingActions = [];
 
         // Camera control state
         this.camYaw   = 0;
         this.camPitch = 0;
-        this.camRotSpeed = Math.PI / 2; // radians/sec for IJKL keys
+        this.camRotSpeed = Math.PI; // radians/sec at full right-stick deflection
         this.camLastFrameOverThreshold = false;
 
+        // Collision broadphase; caches OBBs and grid cells for static geometry
+        this.broadphase = new SpatialGrid();
+
+        // Scene-wide event bus (collision events, damage) and the pairs touching last frame
+        this.events = new EventBus();
+        this.contacts = new Map(); // "idA:idB" -> { a, b }
+
         // Render state
         this.addedMeshes = new Set();
         this.addedLights = new Set();
+        this.addedSounds = new Set();
 
-        // Fireball spawn cooldown state
-        this.spawnCooldown = 0;
+        // the level's fog, shown unless disabled in the settings, and its shadow-casting lights
+        // with the shadow map size the level asks for
+        this.levelFog = null;
+        this.shadowLights = []; // [{light, mapSize}]
 
         // Time elapsed since game started
         this.elapsedTime = 0;
 
         this.zombieSpeed = ZOMBIE_START_SPEED;
 
-        // Zombie spawner
+        // Zombie spawner; the WaveDirector is created once the level's wave script has loaded
         this.zombieCount = 0;
-        this.zombieSpawnTimer = 0;
-
-        // Player invulnerable time after getting hit by a zombie
-        this.playerInvulnTime = 0.5;
+        this.waves = null;
 
-        // Amount of zombies the player killed
+        // Amount of zombies the player killed, and the score their archetypes were worth
         this.playerKills = 0;
+        this.score = 0;
         this.scoreEl     = document.getElementById('score');
         this.healthBarEl = document.getElementById('health-bar');
         this.healthBarContainerEl = document.getElementById('health-bar-container');
+        this.waveEl      = document.getElementById('wave');
+        this.spellEl     = document.getElementById('spell');
+        this.manaBarEl   = document.getElementById('mana-bar');
+        this.manaBarContainerEl = document.getElementById('mana-bar-container');
+
+        this.usesPointerLock = true;
+        this.music = SOUNDS.music;
+    }
+
+    /**
+     * Reads the level (the replay's, or the built-in arena) and its wave script, so
+     * requiredAssets() can list what the level uses and it loads during the transition.
+     * @returns {Promise<void>}
+     */
+    async prepare() {
+        const path = this.replay?.level ?? LEVEL_PATH;
+        this.prepared = { path, ...(await this._readLevel(path)) };
+    }
+
+    /**
+     * The player and torch models, the normal maps and arch model the prepared level names,
+     * every model and sound an enemy archetype or spell can use, the scene's sound effects and
+     * music, and the fonts of the pause menu pushed over the run.
+     * @returns {string[]}
+     */
+    requiredAssets() {
+        const defs = [
+            ...enemies.names().map(name => enemies.get(name)),
+            ...spells.names().map(name => spells.get(name)),
+        ];
+        const perDef = defs.flatMap(def => [def.model, def.sound]);
+        const level = this.prepared?.level;
+        const perLevel = level
+            ? [level.arena.normalMap, ...level.obstacles.map(o => o.material.normalMap), level.arches?.model]
+            : [];
+        return ['wizard', 'torch', ...perLevel, ...perDef, ...Object.values(SOUNDS), 'menu-regular', 'default'].filter(Boolean);
     }
 
     /**
      * Called once by GameEngine.changeScene(). Registers action bindings, sets up raw
      * input listeners, and delegates world setup to loadLevel().
-     * @param {string} [levelPath=LEVEL_PATH] - Path to a level file, or '' for the default scene.
+     * @param {string} [levelPath=LEVEL_PATH] - Path to a level JSON file.
      */
     init(levelPath = LEVEL_PATH) {
+        if (this.replay) {
+            levelPath = this.replay.level;
+            if (this.replay.step !== this.gameEngine.timestep.step) {
+                console.warn(`ScenePlay: replay was recorded at a ${this.replay.step}s step, playing at ${this.gameEngine.timestep.step}s; it may diverge`);
+            }
+        } else {
+            this.recorder = new InputRecorder(this.seed, levelPath, this.gameEngine.timestep.step);
+        }
 
-        if (this.scoreEl) { this.scoreEl.style.display = 'block'; this.scoreEl.textContent = 'Score: 0'; }
-        if (this.healthBarContainerEl) this.healthBarContainerEl.style.display = 'block';
+        this._setHudVisible(true);
+        if (this.scoreEl) this.scoreEl.textContent = 'Score: 0';
         if (this.healthBarEl) this.healthBarEl.style.width = '100%';
+        if (this.waveEl) this.waveEl.textContent = '';
+        if (this.manaBarEl) this.manaBarEl.style.width = '100%';
 
-        // map input to game actions
-        this.registerAction('KeyW',   'moveForward');
-        this.registerAction('KeyS',   'moveBackward');
-        this.registerAction('KeyA',   'moveLeft');
-        this.registerAction('KeyD',   'moveRight');
-        this.registerAction('Space',  'jump');
-        this.registerAction('Mouse0', 'attack');
-        this.registerAction('KeyP',   'pause');
+        this._registerBindings();
 
-        // set up raw input listeners that populate this.input each frame; sDoAction will read from this.input to perform actions
+        // set up raw input listeners that populate this.liveInput; each simulation step copies it into this.input
         this._initInputListeners();
 
+        // subscribe game rules and HUD updates to collision/damage events
+        this._initEventSubscribers();
+
         // set up lighting, entities, and world geometry
-        this.loadLevel(levelPath);
+        this.loadLevel(levelPath).catch(err => console.error(err));
     }
 
 // ************************************************ INPUT LISTENER INIT ************************************************
     /**
-     * Registers raw DOM event listeners that populate this.input each frame.
-     * Mouse movement deltas are accumulated; the camera system drains them every frame.
+     * Registers raw DOM event listeners that populate this.liveInput; they are removed on exit().
+     * Mouse movement deltas are accumulated until the next simulation step takes them.
      * Pointer lock state is tracked so mouse look is only applied when locked.
      */
     _initInputListeners() {
-        document.addEventListener('keydown',   e => { this.input.keys[e.code] = true; });
-        document.addEventListener('keyup',     e => { this.input.keys[e.code] = false; });
-        document.addEventListener('mousemove', e => {
-            this.input.mouse.dx += e.movementX;
-            this.input.mouse.dy += e.movementY;
+        this.listen(document, 'keydown',   e => { this.liveInput.keys[e.code] = true; });
+        this.listen(document, 'keyup',     e => { this.liveInput.keys[e.code] = false; });
+        this.listen(document, 'mousemove', e => {
+            this.liveInput.mouse.dx += e.movementX;
+            this.liveInput.mouse.dy += e.movementY;
+        });
+        this.listen(document, 'mousedown', e => { this.liveInput.keys[`Mouse${e.button}`] = true; });
+        this.listen(document, 'mouseup',   e => { this.liveInput.keys[`Mouse${e.button}`] = false; });
+        this.listen(document, 'pointerlockchange', () => {
+            const wasLocked = this.liveInput.mouse.locked;
+            this.liveInput.mouse.locked = !!document.pointerLockElement;
+            // the player pressed Escape (or switched away) mid-run
+            if (wasLocked && !this.liveInput.mouse.locked && this.gameEngine.currentScene === this) this.pause();
+        });
+    }
+
+    /**
+     * Maps input to game actions from the player's binding profile (see Bindings.js),
+     * replacing any previous mapping.
+     */
+    _registerBindings() {
+        this.actionMap = {};
+        for (const [input, action] of Object.entries(bindings.toActionMap())) {
+            this.registerAction(input, action);
+        }
+    }
+
+    /**
+     * Opens the pause menu over the run, showing its stats. The run is suspended under the
+     * overlay, so simulation time stops: no system runs, and wave timers, cooldowns and
+     * invulnerability all hold until it resumes. The pointer is released while the menu is
+     * open. Pausing is not part of the simulation, so it is never recorded and works while
+     * watching a replay too.
+     */
+    pause() {
+        if (this.hasEnded) return;
+        this.gameEngine.pushScene(new ScenePause(this.gameEngine, this.runStats()));
+    }
+
+    /**
+     * Returns the state of the run so far, for the pause menu.
+     * @returns {{score: number, kills: number, wave: number, time: number, hp: number, maxHp: number}}
+     *          time is simulated seconds survived; wave is 0 before the first wave starts.
+     */
+    runStats() {
+        const hpComp = this.player?.getComponent('HealthComponent');
+        return {
+            score: this.score,
+            kills: this.playerKills,
+            wave:  this.waves?.wave ?? 0,
+            time:  this.elapsedTime,
+            hp:    Math.max(0, Math.ceil(hpComp?.hp ?? 0)),
+            maxHp: hpComp?.maxHp ?? 0,
+        };
+    }
+
+    /**
+     * Hides the HUD and pauses the entities' looping sounds while an overlay covers the run.
+     */
+    suspend() {
+        this._setHudVisible(false);
+        for (const sound of this.addedSounds) sound.pause();
+    }
+
+    /**
+     * Shows the HUD again, restarts the looping sounds, picks up bindings changed from the
+     * pause menu, and drops mouse movement made while the overlay was open, so the view does
+     * not jump when the pointer is captured again. Nothing else is reset: simulation state
+     * must not depend on pausing, or replays of paused runs would diverge.
+     */
+    resume() {
+        this._setHudVisible(true);
+        for (const sound of this.addedSounds) sound.play();
+        this._registerBindings();
+        this.liveInput.mouse.dx = 0;
+        this.liveInput.mouse.dy = 0;
+    }
+
+    /**
+     * Applies the field of view, fog and shadow quality settings. Mouse sensitivity and
+     * invert-Y are read as each step's input is taken (see _stepInput()).
+     * @param {import('./Settings.js').Settings} settings
+     */
+    applySettings(settings) {
+        this.camera.fov = settings.get('fov');
+        this.camera.updateProjectionMatrix();
+
+        this.scene.fog = settings.get('fog') ? this.levelFog : null;
+
+        // a resized shadow map is reallocated on the next render
+        const scale = SHADOW_MAP_SCALE[settings.get('shadowQuality')] || 1;
+        for (const { light, mapSize } of this.shadowLights) {
+            const size = Math.round(mapSize * scale);
+            if (light.shadow.mapSize.x === size) continue;
+            light.shadow.mapSize.set(size, size);
+            light.shadow.map?.dispose();
+            light.shadow.map = null;
+        }
+    }
+
+    _setHudVisible(visible) {
+        const display = visible ? 'block' : 'none';
+        for (const el of [this.scoreEl, this.healthBarContainerEl, this.waveEl, this.spellEl, this.manaBarContainerEl]) {
+            if (el) el.style.display = display;
+        }
+    }
+
+    /**
+     * Queues an action from GameEngine until the next simulation step, so it is recorded
+     * and handled at a reproducible point. Live actions are ignored while watching a replay,
+     * except 'pause', which opens the pause menu straight away.
+     * @param {import('./Action.js').Action} action
+     */
+    doAction(action) {
+        if (action.name === 'pause') {
+            if (action.type === 'start') this.pause();
+            return;
+        }
+        if (!this.playback) this.pendingActions.push(action);
+    }
+
+    /**
+     * Fills this.input with the input for one simulation step and dispatches its actions.
+     * Live input is taken from this.liveInput and the engine's gamepad, translated from keys and
+     * buttons to held actions through the action map, scaled by the look sensitivity and
+     * invert-Y settings, and recorded; during playback the next replay frame is used instead,
+     * so a replay looks around the same way whatever the viewer's settings.
+     * @returns {boolean} False if the replay has run out of frames.
+     */
+    _stepInput() {
+        let frame;
+        if (this.playback) {
+            frame = this.playback.next();
+            if (!frame) return false;
+        } else {
+            const { keys, mouse } = this.liveInput;
+            const gamepad = this.gameEngine.gamepad;
+            const codes = [...Object.keys(keys).filter(code => keys[code]), ...(gamepad?.held ?? [])];
+            const held = new Set(codes.filter(code => this.actionMap[code]).map(code => this.actionMap[code]));
+            const sensitivity = settings.get('sensitivity');
+            const invertY = settings.get('invertY') ? -1 : 1;
+            frame = {
+                held:    [...held].sort(),
+                dx:      mouse.dx * sensitivity,
+                dy:      mouse.dy * sensitivity * invertY,
+                locked:  mouse.locked,
+                pad:     gamepad ? [gamepad.move.x, gamepad.move.y, gamepad.look.x, gamepad.look.y * invertY] : [0, 0, 0, 0],
+                actions: this.pendingActions,
+            };
+            mouse.dx = 0;
+            mouse.dy = 0;
+            this.pendingActions = [];
+            this.recorder?.record(frame);
+        }
+
+        this.input.held = Object.fromEntries(frame.held.map(action => [action, true]));
+        this.input.mouse.dx = frame.dx;
+        this.input.mouse.dy = frame.dy;
+        this.input.mouse.locked = frame.locked;
+        [this.input.pad.move.x, this.input.pad.move.y, this.input.pad.look.x, this.input.pad.look.y] = frame.pad;
+        for (const { name, type } of frame.actions) this.sDoAction(new Action(name, type));
+        return true;
+    }
+
+// ************************************************ EVENT SUBSCRIBERS ************************************************
+    /**
+     * Subscribes the contact rules (damage, combustion, spell hits) and HUD effects to this.events,
+     * and the death rules and render cleanup to the entity manager's events.
+     */
+    _initEventSubscribers() {
+        registerContactDamage(this.events);
+        registerCombustion(this.events);
+        registerSpellHits(this.events, this.entityManager);
+
+        const entityEvents = this.entityManager.events;
+        entityEvents.on('entityRemoved', ({ entity }) => this._removeRenderObjects(entity));
+        entityEvents.on('entityRemoved', ({ entity }) => {
+            const enemyComp = entity.getComponent('EnemyComponent');
+            if (enemyComp) this._onEnemyDeath(entity, enemyComp);
+            if (entity.getComponent('InputComponent')) this._onPlayerDeath(entity);
         });
-        document.addEventListener('mousedown', e => { this.input.mouse.buttons |=  (1 << e.button); });
-        document.addEventListener('mouseup',   e => { this.input.mouse.buttons &= ~(1 << e.button); });
-        document.addEventListener('pointerlockchange', () => {
-            this.input.mouse.locked = !!document.pointerLockElement;
+
+        this.events.on('damage', ({ target }) => {
+            if (target !== this.player || !this.healthBarEl) return;
+            const hpComp = target.getComponent('HealthComponent');
+            this.healthBarEl.style.width = `${Math.max(0, (hpComp.hp / hpComp.maxHp) * 100)}%`;
         });
+
+        this._initSoundEffects();
     }
 
-// ********************************************* DEFAULT WORLD INITIALIZERS *********************************************
+    /**
+     * Scores a dead enemy by its archetype and emits 'enemyDeath' with { entity, archetype, position }.
+     * @param {import('./Entity.js').Entity} entity
+     * @param {C.EnemyComponent} enemyComp
+     */
+    _onEnemyDeath(entity, enemyComp) {
+        this.zombieCount -= 1;
+        const { archetype } = enemyComp;
+        this.events.emit('enemyDeath', { entity, archetype, position: entity.getComponent('PositionComponent').position.clone() });
+        // exploders that blew themselves up don't count as kills
+        if (enemyComp.detonated) return;
+        this.playerKills += 1;
+        this.score += archetype.score ?? 100;
+        if (this.scoreEl) this.scoreEl.textContent = `Score: ${this.score}`;
+    }
 
     /**
-     * Sets the arena atmosphere (sky color, perimeter fog) and adds lights to the Three.js scene.
-     * Sky is a deep purple; fog is linear and dense enough to obscure beyond the arena walls (~22 units).
+     * Ends the run once no player is left; otherwise the camera moves to the next living player.
+     * @param {import('./Entity.js').Entity} entity - The player that died.
      */
-    _initDefaultLighting() {
-        // Pink/purple sky background
-        this.scene.background = new THREE.Color(0x1e0b33);
+    _onPlayerDeath(entity) {
+        const survivor = this.entityManager.getPlayers()[0];
+        if (!survivor) {
+            if (!this.hasEnded) this._endRun();
+            return;
+        }
+        if (entity === this.player) this.player = survivor;
+    }
 
-        // Linear fog: starts at 16 units, fully opaque at 28 — wraps the arena perimeter in mist
-        this.scene.fog = new THREE.Fog(0x000000, 16, 28);
+    /**
+     * Plays a one-shot for casts, hits, enemy deaths (at where they happen) and the player
+     * being hurt.
+     */
+    _initSoundEffects() {
+        const audio = this.gameEngine.audio;
+        if (!audio) return;
 
-        // Near-zero ambient — arena is very dark outside the central light pool
-        this.scene.add(new THREE.AmbientLight(0x1a0a2e, 0.02));
+        this.events.on('spellCast', ({ caster }) => {
+            const position = caster.getComponent('PositionComponent')?.position;
+            if (position) audio.playAt(SOUNDS.cast, position, this.scene);
+        });
+        this.events.on('spellHit', ({ position }) => audio.playAt(SOUNDS.hit, position, this.scene));
+        this.events.on('enemyDeath', ({ position }) => audio.playAt(SOUNDS.death, position, this.scene));
+        this.events.on('damage', ({ target }) => {
+            if (target === this.player) audio.play(SOUNDS.hurt);
+        });
+    }
 
-        // Central overhead point light — tight falloff creates a bright pool at centre,
-        // darkness at the edges; shadows radiate outward from the source
-        const keyLight = new THREE.PointLight(0xffeedd, 120, 30, 2);
-        keyLight.position.set(0, 14, 0);
-        keyLight.castShadow = true;
-        keyLight.shadow.mapSize.set(1024, 1024);
-        keyLight.shadow.camera.near = 1;
-        keyLight.shadow.camera.far  = 30;
-        keyLight.shadow.bias = 0.0;
-        keyLight.shadow.normalBias = 0.5;
+// ************************************************ WORLD INITIALIZERS ************************************************
 
-        this.scene.add(keyLight);
+    /**
+     * Sets the arena atmosphere (sky color, fog) and adds the level's lights to the Three.js scene.
+     * @param {Object} lighting - The `lighting` section of a parsed level.
+     */
+    _initLighting(lighting) {
+        this.scene.background = lighting.background;
+        if (lighting.fog) this.levelFog = new THREE.Fog(lighting.fog.color, lighting.fog.near, lighting.fog.far);
+
+        this.scene.add(new THREE.AmbientLight(lighting.ambient.color, lighting.ambient.intensity));
+
+        for (const def of lighting.pointLights) {
+            const light = new THREE.PointLight(def.color, def.intensity, def.distance, def.decay);
+            light.position.copy(def.position);
+            light.castShadow = def.castShadow;
+            if (def.castShadow) {
+                light.shadow.mapSize.set(def.shadow.mapSize, def.shadow.mapSize);
+                light.shadow.camera.near = def.shadow.near;
+                light.shadow.camera.far  = def.shadow.far;
+                light.shadow.bias = def.shadow.bias;
+                light.shadow.normalBias = def.shadow.normalBias;
+                this.shadowLights.push({ light, mapSize: def.shadow.mapSize });
+            }
+            this.scene.add(light);
+        }
     }
 
     /**
-     * Spawns the default set of entities: player wizard, one zombie, and a static test box.
+     * Spawns the level's entities: player wizard, starting zombies, and static obstacle boxes.
+     * @param {Object} level - A level description returned by parseLevel().
      */
-    _initDefaultEntities() {
-        this._initDefaultPlayer();
+    _initEntities(level) {
+        this._initPlayer(level.playerSpawn);
 
-        const position = new THREE.Vector3(0, 0.75, -20);
-        this.spawnZombie({position});
-        this.spawnZombie({position: new THREE.Vector3(5, 0.75, -10)});
+        for (const position of level.zombieSpawns) {
+            this.spawnZombie({ position: position.clone() });
+        }
 
-        // Static obstacles — height 6 blocks max jump (~4.2 units)
-        const H = 6;
-        const brickNormal = this.gameEngine.assets.getNormalMap('brick');
-        const BRICK_SIZE = 1; // world units per brick tile
-        // BoxGeometry face order: +x/-x (right/left, d×H), +y/-y (top/bottom, w×d), +z/-z (front/back, w×H)
+        // BoxGeometry face order: +x/-x (right/left, d×h), +y/-y (top/bottom, w×d), +z/-z (front/back, w×h)
         // Per-face materials let each face have its own repeat, avoiding UV attribute hacks.
-        const makeBrickMats = (w, d, h) => {
+        const makeFaceMats = ({ color, normalMap, tileSize }, w, h, d) => {
+            const normal = normalMap ? this.gameEngine.assets.getNormalMap(normalMap) : null;
             const faceDims = [[d,h],[d,h],[w,d],[w,d],[w,h],[w,h]];
             return faceDims.map(([ru, rv]) => {
-                if (!brickNormal) return new THREE.MeshStandardMaterial({ color: 0x8c7a5c });
-                const n = brickNormal.clone();
+                if (!normal) return new THREE.MeshStandardMaterial({ color });
+                const n = normal.clone();
                 n.wrapS = n.wrapT = THREE.RepeatWrapping;
-                n.repeat.set(ru / BRICK_SIZE, rv / BRICK_SIZE);
+                n.repeat.set(ru / tileSize, rv / tileSize);
                 n.needsUpdate = true;
-                return new THREE.MeshStandardMaterial({ color: 0x8c7a5c, normalMap: n });
+                return new THREE.MeshStandardMaterial({ color, normalMap: n });
             });
         };
-        const obstacles = [
-            // Centre pillar cluster
-            { pos: new THREE.Vector3(-1.5, H/2,  -1), w: 1, d: 1 },
-            { pos: new THREE.Vector3( 1.5, H/2,   1), w: 1, d: 1 },
-            { pos: new THREE.Vector3( 1.5, H/2,  -2), w: 1, d: 1 },
-            { pos: new THREE.Vector3(-1.5, H/2,   2), w: 1, d: 1 },
-            // Centre cross walls
-            { pos: new THREE.Vector3( 0,  (H/2) - 2, -12), w: 6, d: 1 },
-            { pos: new THREE.Vector3( 0,  (H/2) - 2,  12), w: 6, d: 1 },
-            //{ pos: new THREE.Vector3(-10, H/2,   0), w: 1, d: 6 },
-            //{ pos: new THREE.Vector3( 10, H/2,   0), w: 1, d: 6 },
-            // Diagonal pillars
-            { pos: new THREE.Vector3(-7, H/2,  -5), w: 2, d: 2 },
-            { pos: new THREE.Vector3( 7, H/2,  -5), w: 2, d: 2},
-            { pos: new THREE.Vector3(-7, H/2,   5), w: 2, d: 2 },
-            { pos: new THREE.Vector3( 7, H/2,   5), w: 2, d: 2 },
-            // Outer ring pillars
-            //{ pos: new THREE.Vector3(-14, H/2, -8), w: 2, d: 2 },
-            //{ pos: new THREE.Vector3( 14, H/2, -8), w: 2, d: 2 },
-            //{ pos: new THREE.Vector3(-14, H/2,  8), w: 2, d: 2 },
-            //{ pos: new THREE.Vector3( 14, H/2,  8), w: 2, d: 2 },
-            //{ pos: new THREE.Vector3(  0, H/2, -17), w: 4, d: 1 },
-            //{ pos: new THREE.Vector3(  0, H/2,  17), w: 4, d: 1 },
-        ];
-        for (const { pos, w, d } of obstacles) {
+
+        for (const { position, size, material } of level.obstacles) {
             const e = this.entityManager.addEntity('staticBoxEntity');
-            e.addComponent(new C.PositionComponent(pos));
-            e.addComponent(new C.CollisionComponent(new THREE.Vector3(w / 2, H / 2, d / 2)));
+            e.addComponent(new C.PositionComponent(position.clone()));
+            e.addComponent(new C.CollisionComponent(size.clone().multiplyScalar(0.5)));
             e.addComponent(new C.MeshComponent(new THREE.Mesh(
-                new THREE.BoxGeometry(w, H, d),
-                makeBrickMats(w, d, H)
+                new THREE.BoxGeometry(size.x, size.y, size.z),
+                makeFaceMats(material, size.x, size.y, size.z)
             )));
         }
     }
 
     /**
-     * Creates the player entity (wizard) using playerConfig for spawn position.
+     * Creates the player entity (wizard) at the given spawn position.
      * Stores a reference in this.player.
+     * @param {THREE.Vector3} spawn - World-space spawn position.
      */
-    _initDefaultPlayer() {
-        const { x, y, z } = this.playerConfig;
+    _initPlayer(spawn) {
         this.player = this.entityManager.addEntity('wizardEntity');
         this.player.addComponent(new C.InputComponent());
-        this.player.addComponent(new C.PositionComponent(new THREE.Vector3(x, y, z)));
+        this.player.addComponent(new C.PositionComponent(spawn.clone()));
         this.player.addComponent(new C.VelocityComponent(new THREE.Vector3()));
         this.player.addComponent(new C.GravityComponent());
-        this.player.addComponent(new C.CollisionComponent());
-        this.player.addComponent(new C.HealthComponent());
+        this.player.addComponent(new C.CollisionComponent(new THREE.Vector3(0.5, 1, 0.5), new THREE.Quaternion(), {
+            layer: C.CollisionLayer.PLAYER,
+            mask:  C.CollisionLayer.WORLD | C.CollisionLayer.ENEMY | C.CollisionLayer.PROJECTILE | C.CollisionLayer.PICKUP,
+        }));
+        const health = new C.HealthComponent(100, PLAYER_HIT_INVULN_TIME);
+        health.invulnTime = PLAYER_SPAWN_INVULN_TIME;
+        this.player.addComponent(health);
+        this.player.addComponent(new C.SpellbookComponent(PLAYER_SPELLS));
+        this.player.addComponent(new C.ManaComponent(PLAYER_MAX_MANA, PLAYER_MANA_REGEN));
+        this._updateSpellHud();
         const WIZARD_TARGET_HEIGHT = 2.0;
         const wizardHalfH = WIZARD_TARGET_HEIGHT / 2;
         const wrapper = new THREE.Group();
@@ -274,33 +600,31 @@ export class ScenePlay extends Scene {
             geo.translate(0, 0.4, 0);
             wrapper.add(new THREE.Mesh(geo, new THREE.MeshStandardMaterial({ color: 0x6a0dad })));
         }
-        this.player.addComponent(new C.MeshComponent(wrapper, true, true));
+        this.player.addComponent(new C.MeshComponent(wrapper, true, true, resource => this.gameEngine.assets.isShared(resource)));
     }
 
     /**
-     * Builds the arena: a circular sand floor, invisible OBB walls arranged in a ring,
-     * and decorative arch models loaded from a GLTF file.
+     * Builds the arena from the level description: a circular floor, invisible OBB walls
+     * arranged in a ring, an optional dome ceiling, torches, and decorative arch models.
+     * @param {Object} level - A level description returned by parseLevel().
      */
-    _initDefaultWorld() {
-        const ARENA_RADIUS   = 22;
-        const WALL_THICKNESS = 1.2;
-        const WALL_SEGMENTS  = 64;
-        const WALL_HEIGHT    = 5;
+    _initWorld(level) {
+        const { arena, walls, torches, arches } = level;
+        const ARENA_RADIUS   = arena.radius;
+        const WALL_THICKNESS = walls.thickness;
+        const WALL_SEGMENTS  = walls.segments;
+        const WALL_HEIGHT    = walls.height;
         const SEGMENT_WIDTH  = (2 * Math.PI * ARENA_RADIUS) / WALL_SEGMENTS + 0.3;
-        const SAND_COLOR     = 0x706653;
-        const ARCH_COUNT     = 8;
-
-        
 
         const r = ARENA_RADIUS - WALL_THICKNESS / 2;
 
-        const brickNormal = this.gameEngine.assets.getNormalMap('brick');
+        const brickNormal = arena.normalMap ? this.gameEngine.assets.getNormalMap(arena.normalMap) : null;
         if (brickNormal) {
             brickNormal.wrapS = brickNormal.wrapT = THREE.RepeatWrapping;
         }
 
         const WALL_MAT = new THREE.MeshStandardMaterial({
-            color: SAND_COLOR,
+            color: arena.color,
             normalMap: brickNormal ?? null,
             normalScale: new THREE.Vector2(1.5, 1.5),
             roughness: 0.9,
@@ -308,7 +632,7 @@ export class ScenePlay extends Scene {
         if (brickNormal) WALL_MAT.normalMap.repeat.set(0.5, 4);
 
         const FLOOR_MAT = new THREE.MeshStandardMaterial({
-            color: SAND_COLOR,
+            color: arena.color,
             normalMap: brickNormal ?? null,
             normalScale: new THREE.Vector2(1.2, 1.2),
             roughness: 0.85,
@@ -326,28 +650,29 @@ export class ScenePlay extends Scene {
         ));
         floor.addComponent(new C.CollisionComponent(new THREE.Vector3(r, 5, r)));
 
-        
         // Dome ceiling — hemisphere sitting on top of the walls
-        const domeNormal = brickNormal ? brickNormal.clone() : null;
-        if (domeNormal) {
-            domeNormal.wrapS = domeNormal.wrapT = THREE.RepeatWrapping;
-            domeNormal.repeat.set(6, 3);
-            domeNormal.needsUpdate = true;
-        }
-        const DOME_MAT = new THREE.MeshStandardMaterial({
-            color: SAND_COLOR,
-            normalMap: domeNormal,
-            normalScale: new THREE.Vector2(1.5, 1.5),
-            roughness: 0.9,
-            side: THREE.BackSide,
-        });
-        const dome = this.entityManager.addEntity('dome');
-        dome.addComponent(new C.PositionComponent(new THREE.Vector3(0, WALL_HEIGHT * 2, 0)));
-        dome.addComponent(new C.MeshComponent(
-            new THREE.Mesh(new THREE.SphereGeometry(ARENA_RADIUS, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2), DOME_MAT),
-            false, // castShadow=false — BackSide dome must not cast shadows into the arena interior
-            true
-        ));
+        if (arena.dome) {
+            const domeNormal = brickNormal ? brickNormal.clone() : null;
+            if (domeNormal) {
+                domeNormal.wrapS = domeNormal.wrapT = THREE.RepeatWrapping;
+                domeNormal.repeat.set(6, 3);
+                domeNormal.needsUpdate = true;
+            }
+            const DOME_MAT = new THREE.MeshStandardMaterial({
+                color: arena.color,
+                normalMap: domeNormal,
+                normalScale: new THREE.Vector2(1.5, 1.5),
+                roughness: 0.9,
+                side: THREE.BackSide,
+            });
+            const dome = this.entityManager.addEntity('dome');
+            dome.addComponent(new C.PositionComponent(new THREE.Vector3(0, WALL_HEIGHT, 0)));
+            dome.addComponent(new C.MeshComponent(
+                new THREE.Mesh(new THREE.SphereGeometry(ARENA_RADIUS, 32, 16, 0, Math.PI * 2, 0, Math.PI / 2), DOME_MAT),
+                false, // castShadow=false — BackSide dome must not cast shadows into the arena interior
+                true
+            ));
+        }
 
         //bounding walls (invisible, just for collisions)
         const yAxis = new THREE.Vector3(0, 1, 0);
@@ -356,7 +681,7 @@ export class ScenePlay extends Scene {
             const q = new THREE.Quaternion().setFromAxisAngle(yAxis, -angle - Math.PI / 2);
 
             const wallMesh = new THREE.Mesh(
-                new THREE.BoxGeometry(SEGMENT_WIDTH, WALL_HEIGHT * 2, WALL_THICKNESS),
+                new THREE.BoxGeometry(SEGMENT_WIDTH, WALL_HEIGHT, WALL_THICKNESS),
                 WALL_MAT
             );
             wallMesh.quaternion.copy(q); // no RotationComponent, so RenderSystem won't override this
@@ -365,14 +690,14 @@ export class ScenePlay extends Scene {
             wall.addComponent(new C.PositionComponent(
                 new THREE.Vector3(
                     Math.cos(angle) * ARENA_RADIUS,
-                    WALL_HEIGHT,
+                    WALL_HEIGHT / 2,
                     Math.sin(angle) * ARENA_RADIUS
                 )
             ));
             wall.addComponent(new C.CollisionComponent(
                 new THREE.Vector3(
                     SEGMENT_WIDTH / 2,   // half-width along tangent
-                    WALL_HEIGHT,         // half-height
+                    WALL_HEIGHT / 2,     // half-height
                     WALL_THICKNESS / 2   // half-depth along radial
                 ),
                 q                        // rotation aligns local Z with the outward radial
@@ -381,24 +706,21 @@ export class ScenePlay extends Scene {
         }
 
         // torches — point lights evenly spaced just inside the arena wall
-        const TORCH_COUNT  = 8;
-        const TORCH_RADIUS = ARENA_RADIUS - 2.5;
-        const TORCH_HEIGHT = 2.5;
         const torchGeo = this.gameEngine.assets.getGeometry('torch');
         const torchMat = new THREE.MeshStandardMaterial({ color: 0x8b5e3c });
 
         const TORCH_SCALE = 0.01;
-        const TORCH_TANGENT_OFFSET = 8;
 
-        for (let i = 0; i < TORCH_COUNT; i++) {
-            const angle = (i / TORCH_COUNT) * Math.PI * 2;
+        for (let i = 0; i < torches.count; i++) {
+            const angle = (i / torches.count) * Math.PI * 2;
             const torch = this.entityManager.addEntity('torch');
             torch.addComponent(new C.PositionComponent(new THREE.Vector3(
-                Math.cos(angle) * TORCH_RADIUS - Math.sin(angle) * TORCH_TANGENT_OFFSET,
-                TORCH_HEIGHT,
-                Math.sin(angle) * TORCH_RADIUS + Math.cos(angle) * TORCH_TANGENT_OFFSET
+                Math.cos(angle) * torches.radius - Math.sin(angle) * torches.tangentOffset,
+                torches.height,
+                Math.sin(angle) * torches.radius + Math.cos(angle) * torches.tangentOffset
             )));
-            torch.addComponent(new C.LightComponent(0xff6a00, 2, 14));
+            torch.addComponent(new C.LightComponent(torches.light.color, torches.light.intensity, torches.light.distance));
+            torch.addComponent(new C.SoundComponent(SOUNDS.torch, 0.4, 2));
             if (torchGeo) {
                 const mesh = new THREE.Mesh(torchGeo, torchMat);
                 mesh.scale.setScalar(TORCH_SCALE);
@@ -411,23 +733,18 @@ export class ScenePlay extends Scene {
         }
 
         //arches on outside
-        const loader = new GLTFLoader();
-        loader.load(
-            '../models/arch.glb',
-            (gltf) => {
-                for (let i = 0; i < ARCH_COUNT; i++) {
-                    const angle = (i / ARCH_COUNT) * Math.PI * 2;
-                    const arch = gltf.scene.clone();
-                    arch.position.set(Math.cos(angle) * r, 0, Math.sin(angle) * r);
-                    arch.rotation.y = -angle + Math.PI / 2;
-                    arch.scale.set(0.5, 0.5, 0.5);
-                    this.scene.add(arch);
-                }
-            },
-            undefined,
-            (error) => console.error(error)
-        );
-}
+        const archScene = arches ? this.gameEngine.assets.getGeometry(arches.model) : null;
+        if (archScene) {
+            for (let i = 0; i < arches.count; i++) {
+                const angle = (i / arches.count) * Math.PI * 2;
+                const arch = archScene.clone();
+                arch.position.set(Math.cos(angle) * r, 0, Math.sin(angle) * r);
+                arch.rotation.y = -angle + Math.PI / 2;
+                arch.scale.setScalar(arches.scale);
+                this.scene.add(arch);
+            }
+        }
+    }
 
 // ************************************************ ENTITY SPAWNERS ************************************************
 // called by systems to spawn entities with the appropriate components for their intended behavior
@@ -437,128 +754,163 @@ export class ScenePlay extends Scene {
 
     onEnd() {
         super.onEnd();
-        if (this.scoreEl) this.scoreEl.style.display = 'none';
-        if (this.healthBarContainerEl) this.healthBarContainerEl.style.display = 'none';
+        this._setHudVisible(false);
+    }
+
+    /**
+     * Hides the HUD if the run was left without ending, then removes the input listeners.
+     */
+    exit() {
+        if (!this.hasEnded) this.onEnd();
+        super.exit();
     }
 
-    spawnFireball(data) {
-        data.entity = this.entityManager.addEntity('fireball');
+    /**
+     * Runs every entity's component dispose() hooks, which stop the animation mixers and the
+     * looping sounds and free the meshes' own resources, then disposes the rest of the arena's
+     * Three.js resources.
+     */
+    dispose() {
+        this.entityManager.disposeAll();
+        super.dispose();
+    }
+
+    // data must also include the spell definition to cast (see SpellRegistry.js)
+    spawnProjectile(data) {
+        data.entity = this.entityManager.addEntity('projectile');
         data.assets = this.gameEngine.assets;
-        setFireballComponents(data);
+        setProjectileComponents(data);
     }
 
+    // data may include the archetype to spawn (see EnemyRegistry.js); walkers are spawned by default
     spawnZombie(data) {
         data.entity = this.entityManager.addEntity('zombie');
         data.assets = this.gameEngine.assets;
         setZombieComponents(data);
         this.zombieCount += 1;
+        return data.entity;
     }
 
 // ************************************************ LEVEL LOADER ************************************************
 
     /**
-     * Initialises the scene from a level file or falls back to the default scene.
-     * Currently only the default path is implemented; file-based loading is a stub.
-     * @param {string} [filename=''] - Path to a level description file. Pass '' for defaults.
+     * Builds the world, entities, and lighting from a level file and its wave script, using
+     * the ones prepare() read when the path matches and fetching them otherwise.
+     * Systems stay idle until levelLoaded is set.
+     * @param {string} [filename=LEVEL_PATH] - Path to a level JSON file (see LevelLoader.js for the format).
+     * @returns {Promise<void>} Resolves once the level has been built.
      */
-    loadLevel(filename="") {
-        if (filename) {
+    async loadLevel(filename = LEVEL_PATH) {
+        const { level, waveScript } = this.prepared?.path === filename ? this.prepared : await this._readLevel(filename);
+
+        this.level = level;
+        this.waves = new WaveDirector(waveScript, this.events, (enemy, region) => this._spawnWaveEnemy(enemy, region));
+        this._initEntities(level);
+        this._initWorld(level);
+        this._initLighting(level.lighting);
+        // Build navigation grid after world is set up, from the geometry that actually collides.
+        this.entityManager.update();
+        this._initNavGrid();
+        this.applySettings(settings);
+        this.levelLoaded = true;
+    }
 
-        } else {
-            this._initDefaultEntities();
-            this._initDefaultWorld();
-            this._initDefaultLighting();
-            // Build navigation grid after world is set up.
-            // Register static obstacle footprints (XZ) so A* avoids them.
-            this.navGrid = new NavigationGrid(20, [
-                // Centre cross walls
-                { minX: -3,   maxX:  3,   minZ: -10.5, maxZ:  -9.5 },
-                { minX: -3,   maxX:  3,   minZ:   9.5, maxZ:  10.5 },
-                { minX: -10.5,maxX: -9.5, minZ:  -3,   maxZ:   3   },
-                { minX:  9.5, maxX: 10.5, minZ:  -3,   maxZ:   3   },
-                // Diagonal pillars
-                { minX: -7.5, maxX: -6.5, minZ:  -7,   maxZ:  -3   },
-                { minX:  6.5, maxX:  7.5, minZ:  -7,   maxZ:  -3   },
-                { minX: -7.5, maxX: -6.5, minZ:   3,   maxZ:   7   },
-                { minX:  6.5, maxX:  7.5, minZ:   3,   maxZ:   7   },
-                // Outer ring pillars
-                { minX: -15,  maxX: -13,  minZ:  -9,   maxZ:  -7   },
-                { minX:  13,  maxX:  15,  minZ:  -9,   maxZ:  -7   },
-                { minX: -15,  maxX: -13,  minZ:   7,   maxZ:   9   },
-                { minX:  13,  maxX:  15,  minZ:   7,   maxZ:   9   },
-                { minX: -2,   maxX:  2,   minZ: -17.5, maxZ: -16.5 },
-                { minX: -2,   maxX:  2,   minZ:  16.5, maxZ:  17.5 },
-            ]);
+    /**
+     * Fetches and validates a level file and its wave script. If a custom level or wave script
+     * fails to load, the built-in arena at LEVEL_PATH or the script at WAVES_PATH is used instead.
+     * @param {string} filename - Path to a level JSON file.
+     * @returns {Promise<{level: Object, waveScript: Object}>}
+     */
+    async _readLevel(filename) {
+        let level;
+        try {
+            level = await loadLevelFile(filename);
+        } catch (err) {
+            if (filename === LEVEL_PATH) throw err;
+            console.error(err);
+            console.warn(`ScenePlay: falling back to built-in level "${LEVEL_PATH}"`);
+            level = await loadLevelFile(LEVEL_PATH);
+        }
+
+        let waveScript;
+        try {
+            waveScript = await loadWaveFile(level.waves);
+        } catch (err) {
+            if (level.waves === WAVES_PATH) throw err;
+            console.error(err);
+            console.warn(`ScenePlay: falling back to built-in wave script "${WAVES_PATH}"`);
+            waveScript = await loadWaveFile(WAVES_PATH);
         }
+
+        return { level, waveScript };
+    }
+
+    /**
+     * Builds the A* navigation grid from the OBB of every static entity (CollisionComponent
+     * without VelocityComponent), so zombie pathing always matches the real level geometry.
+     * The walkable area stops 2 units inside the arena wall.
+     */
+    _initNavGrid() {
+        const obstacles = this.entityManager.getWithComponentName('CollisionComponent', 'PositionComponent')
+            .filter(e => !e.hasComponent('VelocityComponent'))
+            .map(e => getOBB(e));
+        this.navGrid = new NavigationGrid(this.level.arena.radius - 2, obstacles);
     }
 
     // ************************************************ MAIN UPDATE LOOP ************************************************
     /**
-     * Called once per frame by GameEngine. Runs mesh cleanup, entity bookkeeping,
-     * and all active game systems in order.
-     * @param {number} delta - Elapsed time in seconds since the last frame.
+     * Called by GameEngine once per fixed simulation step. Runs entity bookkeeping (which
+     * fires the death rules, see _initEventSubscribers()) and all active game systems in order.
+     * Rendering happens separately in sRender(), once per displayed frame.
+     * @param {number} delta - Length of the simulation step in seconds.
      */
     update(delta) {
-        // remove THREE objects for dying entities before EntityManager prunes them
-        for (const e of this.entityManager.getEntities()) {
-            if (!e.isActive()) {
-                const mesh = e.getComponent('MeshComponent')?.mesh;
-                if (mesh) {
-                    this.scene.remove(mesh);
-                    this.addedMeshes.delete(mesh);
-                }
-                const light = e.getComponent('LightComponent')?.light;
-                if (light) {
-                    this.scene.remove(light);
-                    this.addedLights.delete(light);
-                }
-
-                if (e.tag === 'zombie') {
-                    this.zombieCount -= 1;
-                    this.playerKills += 1;
-                    if (this.scoreEl) this.scoreEl.textContent = `Score: ${this.playerKills * 100}`;
-                }
-                if (e.tag === 'wizardEntity') {
-                    this.onEnd();
-                    this.gameEngine.changeScene(new SceneDeath(this.gameEngine, this.playerKills * 100));
-                    return;
-                }
-            }
-        }
-
-        // process entitiesToAdd and remove dead entities
+        // process entitiesToAdd and remove dead entities; the last player's death ends the run
         this.entityManager.update();
-
-        // run game systems only if not paused (except rendering)
-        if (!this.isPaused) {
-            this.sCameraControl();
-            this.sZombieSpawn(delta);
-            this.sZombieAI(delta);
-            this.sMovement(delta);
-            this.sGravity(delta);
-            this.sCollision();
-            this.sLifespan(delta);
-            this.sAnimation(delta);
-            this.spawnCooldown -= delta;
-            this.playerInvulnTime -= delta;
-            this.elapsedTime += delta;
+        if (this.hasEnded) return;
+
+        // run game systems only once the level is built; while paused, update() is not called at all
+        if (!this.levelLoaded) return;
+        if (!this._stepInput()) {
+            // the replay being watched ended before the player died
+            this._endRun();
+            return;
         }
+        this.sStorePreviousPositions();
+        this.sCameraControl(delta);
+        this.sZombieSpawn(delta);
+        this.sZombieAI(delta);
+        this.sMovement(delta);
+        this.sGravity(delta);
+        this.sCollision();
+        this.sLifespan(delta);
+        this.sAnimation(delta);
+        this.sSpellCooldown(delta);
+        this.sManaRegen(delta);
+        this.elapsedTime += delta;
+    }
 
-        this.sRender();
+    /**
+     * Ends the run and shows the death screen with the score, seed and replay of this run.
+     */
+    _endRun() {
+        this.onEnd();
+        this.gameEngine.transitionTo(new SceneDeath(this.gameEngine, this.score, this.seed, this.recorder?.toJSON() ?? this.replay))
+            .catch(err => console.error(err));
     }
 
     // ************************************************ SYSTEMS ************************************************
 
     /**
-     * Reads mouse movement and keyboard camera keys to update camYaw/camPitch,
+     * Reads mouse movement and the gamepad's right stick to update camYaw/camPitch,
      * then applies the resulting quaternion to the camera and syncs its position
      * to the player wizard's world position.
      *
      * Large mouse deltas on the first frame after pointer lock is acquired are
      * discarded to prevent camera jump artifacts.
+     * @param {number} delta - Elapsed seconds since last frame.
      */
-    sCameraControl() {
-        const sensitivity = 0.002;
+    sCameraControl(delta) {
         const deltaThreshold = 200;
 
         if (this.input.mouse.locked) {
@@ -568,71 +920,81 @@ export class ScenePlay extends Scene {
             // skip first frame over threshold to prevent camera jumps on pointer lock acquire
             if (over && !this.camLastFrameOverThreshold) { dx = 0; dy = 0; }
             this.camLastFrameOverThreshold = over;
-            this.camYaw   -= dx * sensitivity;
-            this.camPitch -= dy * sensitivity;
+            this.camYaw   -= dx * MOUSE_LOOK_SCALE;
+            this.camPitch -= dy * MOUSE_LOOK_SCALE;
         }
         // consume mouse deltas
         this.input.mouse.dx = 0;
         this.input.mouse.dy = 0;
 
+        // the right stick turns at a rate, so it works without pointer lock
+        const look = this.input.pad.look;
+        this.camYaw   -= look.x * this.camRotSpeed * delta;
+        this.camPitch -= look.y * this.camRotSpeed * delta;
+
         // clamp pitch to prevent flipping
         this.camPitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, this.camPitch));
         this.camera.quaternion.setFromEuler(new THREE.Euler(this.camPitch, this.camYaw, 0, 'YXZ'));
 
         // sync camera position to wizard
-        const wizPos = this.entityManager.getWithID(0)?.getComponent('PositionComponent');
+        const wizPos = this.player?.getComponent('PositionComponent');
         if (wizPos) this.camera.position.copy(wizPos.position);
     }
 
+    /**
+     * Runs the wave script: starts waves, spawns their enemies on schedule, and keeps
+     * the HUD wave counter up to date.
+     * @param {number} delta - Elapsed seconds since last frame.
+     */
     sZombieSpawn(delta) {
-        // Config
-        const SPAWN_INTERVAL   = 10;       // seconds between waves
-        const ZOMBIES_PER_WAVE = 3;       // zombies per wave (can scale with elapsedTime)
-        const SPAWN_RADIUS     = 12;       // how far from player zombies appear
-        const ARENA_RADIUS     = 20.5;    // slightly inside wall to avoid clipping
-
-        if (!this.player) return;
-
-        this.zombieSpawnTimer -= delta;
-        if (this.zombieCount <= 0) this.zombieSpawnTimer = 0;
-        if (this.zombieSpawnTimer > 0) return;
-        this.zombieSpawnTimer = SPAWN_INTERVAL;
-
-        const playerPos = this.player.getComponent('PositionComponent')?.position;
-        if (!playerPos) return;
-
-        // Scale zombies per wave with time
-        const waveSize = (this.elapsedTime <= 225) ? ZOMBIES_PER_WAVE + Math.floor(this.elapsedTime / 45) : 8;
-
-        for (let i = 0; i < waveSize; i++) {
-            // Pick a random angle and spawn at SPAWN_RADIUS away from player
-            const angle = Math.random() * Math.PI * 2;
-            let sx = playerPos.x + Math.cos(angle) * SPAWN_RADIUS;
-            let sz = playerPos.z + Math.sin(angle) * SPAWN_RADIUS;
-
-            // Clamp to arena circle: if outside, project back onto the boundary
-            const distFromCenter = Math.sqrt(sx * sx + sz * sz);
-            if (distFromCenter > ARENA_RADIUS) {
-                const scale = ARENA_RADIUS / distFromCenter;
-                sx *= scale;
-                sz *= scale;
-            }
+        if (!this.player || !this.waves) return;
+        this.waves.update(delta);
+        this._updateWaveHud();
+    }
 
-            this.spawnZombie({
-                position: new THREE.Vector3(sx, 0.75, sz)
-            });
-        }
+    /**
+     * Spawns one wave enemy at a random point of a spawn region. Called by the WaveDirector.
+     * @param {string} enemy  - Archetype name, or "random" for a weighted pick among unlocked archetypes.
+     * @param {Object} region - Spawn region from the wave script.
+     * @returns {import('./Entity.js').Entity|null} The spawned zombie, or null if nothing was spawned.
+     */
+    _spawnWaveEnemy(enemy, region) {
+        const playerPos = this.player?.getComponent('PositionComponent')?.position;
+        const archetype = enemy === 'random' ? enemies.pick(this.elapsedTime, this.rng.next) : enemies.get(enemy);
+        if (!playerPos || !archetype) return null;
+
+        // slightly inside wall to avoid clipping
+        const position = pickSpawnPoint(region, playerPos, this.level.arena.radius - 1.5, this.rng.next);
+        position.y = archetype.size.y / 2;
+        return this.spawnZombie({ position, archetype });
+    }
+
+    /**
+     * Shows the current wave in the HUD, or a countdown to the next one during intermissions.
+     */
+    _updateWaveHud() {
+        if (!this.waveEl || !this.waves) return;
+        const { state, wave, timer } = this.waves;
+        this.waveEl.textContent = state === 'intermission'
+            ? `Wave ${wave + 1} in ${Math.ceil(timer)}`
+            : `Wave ${wave}`;
     }
 
     /**
-     * Simple AI system: move zombies toward the player by setting their XZ velocity.
-     * Also rotates the zombie mesh to face movement direction.
+     * Simple AI system: move each zombie toward the nearest player by setting its XZ velocity, at
+     * its archetype's speed times the per-kill multiplier. Also rotates the zombie mesh to face
+     * movement direction. Frozen zombies don't move.
+     * - exploder archetypes detonate once the player is within their trigger range.
+     * - caster archetypes stop within range and cast their spell at the player every castInterval seconds.
      * @param {number} delta - Elapsed seconds since last frame.
      */
     sZombieAI(delta) {
-        if (!this.player) return;
-        const playerPos = this.player.getComponent('PositionComponent')?.position;
-        if (!playerPos) return;
+        const playerPositions = this.entityManager.getPlayers()
+            .map(p => p.getComponent('PositionComponent')?.position)
+            .filter(Boolean);
+        if (playerPositions.length === 0) return;
+        const nearestTo = (position) => playerPositions.reduce((best, p) =>
+            p.distanceToSquared(position) < best.distanceToSquared(position) ? p : best);
 
         this.zombieSpeed = ZOMBIE_START_SPEED + this.playerKills * ZOMBIE_SPEED_PER_KILL;
 
@@ -645,7 +1007,37 @@ export class ScenePlay extends Scene {
             const posComp  = z.getComponent('PositionComponent');
             const velComp  = z.getComponent('VelocityComponent');
             const pathComp = z.getComponent('PathComponent');
-            if (!posComp || !velComp) continue;
+            const enemyComp = z.getComponent('EnemyComponent');
+            if (!posComp || !velComp || !enemyComp) continue;
+
+            // frozen zombies stand still (gravity still applies)
+            if (z.getComponent('FrozenComponent')) {
+                velComp.velocity.x = 0;
+                velComp.velocity.z = 0;
+                continue;
+            }
+
+            // ── archetype behaviour ─────────────────────────────────────
+            const { behavior, speed } = enemyComp.archetype;
+            const playerPos = nearestTo(posComp.position);
+            const toPlayer = new THREE.Vector3(playerPos.x - posComp.position.x, 0, playerPos.z - posComp.position.z);
+            const playerDist = toPlayer.length();
+            let holdPosition = false;
+
+            if (behavior.type === 'exploder' && playerDist <= behavior.triggerRange) {
+                this._detonate(z);
+                continue;
+            }
+            if (behavior.type === 'caster') {
+                enemyComp.castTimer = Math.max(0, enemyComp.castTimer - delta);
+                if (playerDist <= behavior.range) {
+                    holdPosition = true;
+                    if (enemyComp.castTimer <= 0) {
+                        this.castEnemySpell(z, playerPos);
+                        enemyComp.castTimer = behavior.castInterval;
+                    }
+                }
+            }
 
             // ── A* path update ──────────────────────────────────────────
             if (pathComp && this.navGrid) {
@@ -678,20 +1070,22 @@ export class ScenePlay extends Scene {
                 target.z - posComp.position.z
             );
             const distSq = toTarget.lengthSq();
-            if (distSq < 0.01) {
+            if (holdPosition || distSq < 0.01) {
                 velComp.velocity.x = 0;
                 velComp.velocity.z = 0;
             } else {
                 toTarget.normalize();
-                velComp.velocity.x = toTarget.x * this.zombieSpeed;
-                velComp.velocity.z = toTarget.z * this.zombieSpeed;
+                velComp.velocity.x = toTarget.x * speed * this.zombieSpeed;
+                velComp.velocity.z = toTarget.z * speed * this.zombieSpeed;
             }
 
-            // smoothly rotate mesh to face movement direction
+            // smoothly rotate mesh to face movement direction (casters holding position face the player)
             const meshComp = z.getComponent('MeshComponent');
             if (meshComp?.mesh) {
                 const MODEL_FORWARD = new THREE.Vector3(0, 0, 1);
-                const facing = new THREE.Vector3(velComp.velocity.x, 0, velComp.velocity.z);
+                const facing = holdPosition
+                    ? toPlayer.clone()
+                    : new THREE.Vector3(velComp.velocity.x, 0, velComp.velocity.z);
                 if (facing.lengthSq() > 0) {
                     facing.normalize();
                     const targetQ = new THREE.Quaternion().setFromUnitVectors(MODEL_FORWARD, facing);
@@ -701,15 +1095,58 @@ export class ScenePlay extends Scene {
         }
     }
 
+    /**
+     * Blows up an exploder: damages every PLAYER-layer entity with health within its blast
+     * radius, emits 'enemyExploded' with { entity, position }, and destroys it without
+     * counting a kill.
+     * @param {import('./Entity.js').Entity} zombie - Zombie with an exploder archetype.
+     */
+    _detonate(zombie) {
+        const enemyComp = zombie.getComponent('EnemyComponent');
+        const { radius, damage } = enemyComp.archetype.behavior;
+        const center = zombie.getComponent('PositionComponent').position.clone();
+
+        for (const target of this.entityManager.getWithComponentName('HealthComponent', 'PositionComponent', 'CollisionComponent')) {
+            if (!target.isActive() || (target.getComponent('CollisionComponent').layer & C.CollisionLayer.PLAYER) === 0) continue;
+            if (target.getComponent('PositionComponent').position.distanceTo(center) <= radius) {
+                dealDamage(this.events, zombie, target, damage);
+            }
+        }
+
+        enemyComp.detonated = true;
+        zombie.destroy();
+        this.events.emit('enemyExploded', { entity: zombie, position: center });
+    }
+
+    /**
+     * Launches a caster zombie's spell at a target position. The projectile only damages
+     * the player's layer, so it passes through other zombies.
+     * Emits 'spellCast' with { caster, spell }.
+     * @param {import('./Entity.js').Entity} caster - Zombie with a caster archetype.
+     * @param {THREE.Vector3} targetPos - World-space point to aim at.
+     */
+    castEnemySpell(caster, targetPos) {
+        const spell = spells.get(caster.getComponent('EnemyComponent').archetype.behavior.spell);
+        if (!spell) return;
+
+        const position  = caster.getComponent('PositionComponent').position.clone();
+        const direction = new THREE.Vector3().subVectors(targetPos, position);
+        if (direction.lengthSq() === 0) return;
+
+        this.spawnProjectile({ position, direction, spell, caster, targetMask: C.CollisionLayer.PLAYER });
+        this.events.emit('spellCast', { caster, spell });
+    }
+
     /**
      * Moves all entities that have both PositionComponent and VelocityComponent.
-     * - InputComponent entities: WASD translates the player relative to camera facing;
-     *   Space triggers a jump when isOnGround is true.
+     * - InputComponent entities: the held move actions and the gamepad's left stick translate the
+     *   player relative to camera facing (a partly deflected stick moves slower); the held jump
+     *   action triggers a jump when isOnGround is true.
      * - All other entities: position is advanced by velocity * delta each frame.
      * @param {number} delta - Elapsed seconds since last frame.
      */
     sMovement(delta) {
-        const keys = this.input.keys;
+        const held = this.input.held;
         const inputVel = this.playerConfig.speed;
 
         for (const e of this.entityManager.getWithComponentName('PositionComponent', 'VelocityComponent')) {
@@ -718,8 +1155,9 @@ export class ScenePlay extends Scene {
             const vel = e.getComponent('VelocityComponent').velocity;
 
             if (e.getComponent('InputComponent')) {
-                const fwd  = Number(!!keys['KeyW']) - Number(!!keys['KeyS']); // TODO: remove hardcoding of input keys
-                const side = Number(!!keys['KeyD']) - Number(!!keys['KeyA']);
+                const stick = this.input.pad.move;
+                const fwd  = Number(!!held.moveForward) - Number(!!held.moveBackward) - stick.y;
+                const side = Number(!!held.moveRight) - Number(!!held.moveLeft) + stick.x;
 
                 // project camera forward/right onto XZ so pitch doesn't affect speed
                 const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
@@ -734,10 +1172,10 @@ export class ScenePlay extends Scene {
                     .addScaledVector(forward, fwd)
                     .addScaledVector(right, side);
 
-                if (move.lengthSq() > 0) move.normalize();
+                if (move.lengthSq() > 1) move.normalize();
                 pos.addScaledVector(move, inputVel * delta);
 
-                if (keys['Space'] && posComp.isOnGround) { // TODO: make collision system manage isOnGround
+                if (held.jump && posComp.isOnGround) { // TODO: make collision system manage isOnGround
                     vel.y = this.playerConfig.jumpStrength;
                 }
             } else {
@@ -769,16 +1207,19 @@ export class ScenePlay extends Scene {
     }
 
     /**
-     * Runs SAT OBB collision detection over all entity pairs and resolves penetrations.
+     * Runs SAT OBB collision detection over broadphase candidate pairs and resolves penetrations.
      *
      * Per frame:
      * 1. Resets isOnGround to false for every dynamic entity.
-     * 2. Tests every pair of entities with CollisionComponent + PositionComponent.
-     * 3. If a CombustibleComponent entity collides with a non-player, it is destroyed
-     *    and the other entity loses 30 HP.
-     * 4. Pushes dynamic entities out of static geometry using the MTV.
+     * 2. Asks the SpatialGrid broadphase for nearby pairs of entities with CollisionComponent +
+     *    PositionComponent (static-vs-static pairs are skipped) and tests each with SAT.
+     *    Pairs whose CollisionComponent layers/masks don't interact are never produced.
+     * 3. Emits 'collisionEnter' (pair was not touching last frame) or 'collisionStay' on this.events
+     *    with { a, b, mtv }; game rules such as damage subscribe to these (see CollisionRules.js).
+     * 4. Unless either collider is a trigger, pushes dynamic entities out of static geometry using the MTV.
      *    - Upward MTV on a dynamic entity → sets isOnGround = true and zeroes vertical velocity.
      *    - Both dynamic → XZ penetration is split equally; Y goes to the entity pushed upward.
+     * 5. Emits 'collisionExit' with { a, b, mtv: null } for every pair that touched last frame but not this one.
      */
     sCollision() {
         // Reset isOnGround each frame; re-set to true only when a floor collision is detected.
@@ -788,83 +1229,71 @@ export class ScenePlay extends Scene {
 
         const entities = this.entityManager.getWithComponentName('CollisionComponent', 'PositionComponent');
 
-        //TODO: Replace with spatial grid
-        for (let i = 0; i < entities.length; i++) {
-            for (let j = i + 1; j < entities.length; j++) {
-                const a = entities[i];
-                const b = entities[j];
+        // pairs left in previousContacts after the loop have stopped touching
+        const previousContacts = this.contacts;
+        this.contacts = new Map();
 
-                const mtv = satOBB(getOBB(a), getOBB(b));
-                if (!mtv) continue;
+        for (const [a, b] of this.broadphase.getPairs(entities)) {
+            const mtv = satOBB(this.broadphase.getOBB(a), this.broadphase.getOBB(b));
+            if (!mtv) continue;
 
-                if (((a.tag == "wizardEntity" && b.tag == "zombie") || (b.tag == "wizardEntity" && a.tag == "zombie")) && this.playerInvulnTime <= 0) {
-                    const hpComp = this.player.getComponent('HealthComponent');
-                    hpComp.hp -= 10;
-                    this.playerInvulnTime = 0.75;
-                    if (this.healthBarEl) this.healthBarEl.style.width = `${Math.max(0, (hpComp.hp / hpComp.maxHp) * 100)}%`;
-                }
-                
-                if (a.getComponent('CombustibleComponent')) {
-                    if (b.id !== 0) {
-                        a.destroy();
-                        if (b.getComponent('HealthComponent')) {
-                            b.getComponent('HealthComponent').hp -= 50;
-                        }
-                    } else { continue; }
-                }
-                if (b.getComponent('CombustibleComponent')) {
-                    if (a.id !== 0) {
-                        b.destroy();
-                        if (a.getComponent('HealthComponent')) {
-                            a.getComponent('HealthComponent').hp -= 50;
-                        }
-                    } else { continue; }
-                }
+            const key = `${a.id}:${b.id}`;
+            const wasTouching = previousContacts.delete(key);
+            this.contacts.set(key, { a, b });
+            this.events.emit(wasTouching ? 'collisionStay' : 'collisionEnter', { a, b, mtv: mtv.clone() });
 
-                const aDynamic = !!a.getComponent('VelocityComponent');
-                const bDynamic = !!b.getComponent('VelocityComponent');
-                const yDominant = Math.abs(mtv.y) > Math.abs(mtv.x) && Math.abs(mtv.y) > Math.abs(mtv.z);
-
-                if (aDynamic && bDynamic) {
-                    const posA = a.getComponent('PositionComponent').position;
-                    const posB = b.getComponent('PositionComponent').position;
-                    if (yDominant) {
-                        if (mtv.y > 0) {
-                            posA.y += mtv.y;
-                            a.getComponent('VelocityComponent').velocity.y = 0;
-                            a.getComponent('PositionComponent').isOnGround = true;
-                        } else {
-                            posB.y -= mtv.y;
-                            b.getComponent('VelocityComponent').velocity.y = 0;
-                            b.getComponent('PositionComponent').isOnGround = true;
-                        }
-                    } else {
-                        // XZ: split push between both
-                        posA.x += mtv.x * 0.5;  posA.z += mtv.z * 0.5;
-                        posB.x -= mtv.x * 0.5;  posB.z -= mtv.z * 0.5;
-                    }
-                } else if (aDynamic) {
-                    const posA = a.getComponent('PositionComponent').position;
-                    posA.add(mtv);
+            // triggers only report overlaps
+            if (a.getComponent('CollisionComponent').isTrigger || b.getComponent('CollisionComponent').isTrigger) continue;
+
+            const aDynamic = !!a.getComponent('VelocityComponent');
+            const bDynamic = !!b.getComponent('VelocityComponent');
+            const yDominant = Math.abs(mtv.y) > Math.abs(mtv.x) && Math.abs(mtv.y) > Math.abs(mtv.z);
+
+            if (aDynamic && bDynamic) {
+                const posA = a.getComponent('PositionComponent').position;
+                const posB = b.getComponent('PositionComponent').position;
+                if (yDominant) {
                     if (mtv.y > 0) {
+                        posA.y += mtv.y;
                         a.getComponent('VelocityComponent').velocity.y = 0;
                         a.getComponent('PositionComponent').isOnGround = true;
-                    }
-                } else if (bDynamic) {
-                    const posB = b.getComponent('PositionComponent').position;
-                    posB.sub(mtv);
-                    if (mtv.y < 0) {
+                    } else {
+                        posB.y -= mtv.y;
                         b.getComponent('VelocityComponent').velocity.y = 0;
                         b.getComponent('PositionComponent').isOnGround = true;
                     }
+                } else {
+                    // XZ: split push between both
+                    posA.x += mtv.x * 0.5;  posA.z += mtv.z * 0.5;
+                    posB.x -= mtv.x * 0.5;  posB.z -= mtv.z * 0.5;
+                }
+            } else if (aDynamic) {
+                const posA = a.getComponent('PositionComponent').position;
+                posA.add(mtv);
+                if (mtv.y > 0) {
+                    a.getComponent('VelocityComponent').velocity.y = 0;
+                    a.getComponent('PositionComponent').isOnGround = true;
+                }
+            } else if (bDynamic) {
+                const posB = b.getComponent('PositionComponent').position;
+                posB.sub(mtv);
+                if (mtv.y < 0) {
+                    b.getComponent('VelocityComponent').velocity.y = 0;
+                    b.getComponent('PositionComponent').isOnGround = true;
                 }
             }
         }
+
+        for (const { a, b } of previousContacts.values()) {
+            this.events.emit('collisionExit', { a, b, mtv: null });
+        }
     }
 
     /**
      * Decrements LifespanComponent timers and destroys expired entities.
-     * Also destroys any entity whose HP has dropped to zero or below.
+     * Thaws entities whose FrozenComponent has run out.
+     * Also counts down HealthComponent invulnerability and destroys any entity
+     * whose HP has dropped to zero or below.
      * @param {number} delta - Elapsed seconds since last frame.
      */
     sLifespan(delta) {
@@ -875,14 +1304,24 @@ export class ScenePlay extends Scene {
             if (lifespanComp.secondsLeft <= 0) e.destroy();
         }
 
+        // thaw frozen entities
+        for (const e of this.entityManager.getWithComponentName('FrozenComponent')) {
+            const frozen = e.getComponent('FrozenComponent');
+            frozen.secondsLeft -= delta;
+            if (frozen.secondsLeft <= 0) e.removeComponent('FrozenComponent');
+        }
+
         // destroy entities with 0 or less health
         for (const e of this.entityManager.getWithComponentName('HealthComponent')) {
-            if (e.getComponent('HealthComponent').hp <= 0) e.destroy();
+            const hpComp = e.getComponent('HealthComponent');
+            hpComp.invulnTime = Math.max(0, hpComp.invulnTime - delta);
+            if (hpComp.hp <= 0) e.destroy();
         }
     }
 
     /**
      * Advances all AnimationMixer instances by delta so skeletal animations play.
+     * Frozen entities keep their current pose.
      * @param {number} delta - Elapsed seconds since last frame.
      */
     sAnimation(delta) {
@@ -893,9 +1332,10 @@ export class ScenePlay extends Scene {
             if (animComp.action) {
                 let moving;
                 if (e.getComponent('InputComponent')) {
-                    // Player moves via direct position offset, not velocity — check keys instead
-                    const k = this.input.keys;
-                    moving = k['KeyW'] || k['KeyS'] || k['KeyA'] || k['KeyD'];
+                    // Player moves via direct position offset, not velocity — check held move actions and the stick instead
+                    const h = this.input.held;
+                    const stick = this.input.pad.move;
+                    moving = h.moveForward || h.moveBackward || h.moveLeft || h.moveRight || stick.x !== 0 || stick.y !== 0;
                 } else {
                     const vel = e.getComponent('VelocityComponent');
                     moving = vel && (Math.abs(vel.velocity.x) > 0.01 || Math.abs(vel.velocity.z) > 0.01);
@@ -909,16 +1349,34 @@ export class ScenePlay extends Scene {
                 if (mesh) mesh.rotation.y = this.camYaw;
             }
 
-            animComp.mixer.update(delta);
+            if (!e.getComponent('FrozenComponent')) animComp.mixer.update(delta);
         }
     }
 
     /**
-     * Syncs Three.js mesh transforms to ECS component data and lazy-adds new meshes
-     * to the Three.js scene on their first appearance.
-     * PositionComponent drives mesh.position; RotationComponent drives mesh.rotation.
+     * Copies every PositionComponent's position into previous at the start of a simulation
+     * step, so sRender() can interpolate from it.
      */
-    sRender() {
+    sStorePreviousPositions() {
+        for (const e of this.entityManager.getWithComponentName('PositionComponent')) {
+            const posComp = e.getComponent('PositionComponent');
+            posComp.previous.copy(posComp.position);
+        }
+    }
+
+    /**
+     * Syncs Three.js mesh transforms to ECS component data and lazy-adds new meshes, lights
+     * and entity sounds to the Three.js scene on their first appearance (removed entities take
+     * theirs out in _removeRenderObjects()). Called once per displayed frame.
+     * Positions are interpolated between the previous and latest simulation step by alpha,
+     * so motion stays smooth when the display refresh rate differs from the simulation rate.
+     * PositionComponent drives mesh.position and the camera; RotationComponent drives mesh.rotation.
+     * @param {number} [alpha=1] - Interpolation factor from GameEngine (0 = previous step, 1 = latest).
+     */
+    sRender(alpha = 1) {
+        const lerped = new THREE.Vector3();
+        const interpolate = (posComp) => lerped.lerpVectors(posComp.previous, posComp.position, alpha);
+
         for (const entity of this.entityManager.getWithComponentName('MeshComponent')) {
             const meshComp = entity.getComponent('MeshComponent');
             if (!meshComp.mesh) continue;
@@ -931,8 +1389,8 @@ export class ScenePlay extends Scene {
                 meshComp.mesh.receiveShadow = meshComp.receiveShadow;
             }
 
-            const position = entity.getComponent('PositionComponent')?.position;
-            if (position != null) meshComp.mesh.position.copy(position);
+            const posComp = entity.getComponent('PositionComponent');
+            if (posComp != null) meshComp.mesh.position.copy(interpolate(posComp));
 
             const rotation = entity.getComponent('RotationComponent');
             if (rotation != null) meshComp.mesh.rotation.set(rotation.yaw, rotation.pitch, rotation.roll);
@@ -947,8 +1405,9 @@ export class ScenePlay extends Scene {
                 this.addedLights.add(lightComp.light);
             }
 
-            const position = entity.getComponent('PositionComponent')?.position;
-            if (position != null) {
+            const posComp = entity.getComponent('PositionComponent');
+            if (posComp != null) {
+                const position = interpolate(posComp);
                 if (entity.tag == 'torch') {
                     const angle = Math.atan2(position.x, position.z);
                     const tangential = new THREE.Vector3(-Math.sin(angle), 0, Math.cos(angle));
@@ -960,26 +1419,139 @@ export class ScenePlay extends Scene {
                 }  
             } 
         }
+
+        // start looping sounds once audio is unlocked and their clip is loaded
+        const audio = this.gameEngine.audio;
+        for (const entity of audio ? this.entityManager.getWithComponentName('SoundComponent') : []) {
+            const soundComp = entity.getComponent('SoundComponent');
+            if (!soundComp.audio) {
+                soundComp.audio = audio.createPositional(soundComp.sound, { loop: true, volume: soundComp.volume, refDistance: soundComp.refDistance });
+                if (!soundComp.audio) continue;
+                this.scene.add(soundComp.audio);
+                this.addedSounds.add(soundComp.audio);
+                if (this.gameEngine.currentScene === this) soundComp.audio.play();
+            }
+
+            const posComp = entity.getComponent('PositionComponent');
+            if (posComp != null) soundComp.audio.position.copy(interpolate(posComp));
+        }
+
+        // follow the interpolated wizard so the view moves as smoothly as the meshes
+        const playerPos = this.player?.getComponent('PositionComponent');
+        if (playerPos) this.camera.position.copy(interpolate(playerPos));
+    }
+
+    /**
+     * Takes a removed entity's mesh, light and sound out of the Three.js scene. Subscribed to
+     * the entity manager's 'entityRemoved'; the components' dispose() hooks then free the mesh's
+     * unshared geometries and materials and the light's shadow map, stop the animation mixer
+     * and stop the sound.
+     * @param {import('./Entity.js').Entity} entity
+     */
+    _removeRenderObjects(entity) {
+        const mesh = entity.getComponent('MeshComponent')?.mesh;
+        if (mesh) {
+            this.scene.remove(mesh);
+            this.addedMeshes.delete(mesh);
+        }
+        const light = entity.getComponent('LightComponent')?.light;
+        if (light) {
+            this.scene.remove(light);
+            this.addedLights.delete(light);
+        }
+        const sound = entity.getComponent('SoundComponent')?.audio;
+        if (sound) {
+            this.scene.remove(sound);
+            this.addedSounds.delete(sound);
+        }
+    }
+
+    /**
+     * Counts down every spellbook's per-spell cooldowns.
+     * @param {number} delta - Elapsed seconds since last frame.
+     */
+    sSpellCooldown(delta) {
+        for (const e of this.entityManager.getWithComponentName('SpellbookComponent')) {
+            const cooldowns = e.getComponent('SpellbookComponent').cooldowns;
+            for (const name in cooldowns) {
+                cooldowns[name] = Math.max(0, cooldowns[name] - delta);
+            }
+        }
+    }
+
+    /**
+     * Refills every ManaComponent by its regeneration rate, capped at its maximum,
+     * and keeps the player's mana bar in sync.
+     * @param {number} delta - Elapsed seconds since last frame.
+     */
+    sManaRegen(delta) {
+        for (const e of this.entityManager.getWithComponentName('ManaComponent')) {
+            const manaComp = e.getComponent('ManaComponent');
+            manaComp.mana = Math.min(manaComp.maxMana, manaComp.mana + manaComp.regen * delta);
+        }
+        this._updateManaHud();
+    }
+
+    /**
+     * Casts the caster's selected spell from its position along the camera's look direction if it is off cooldown
+     * and the caster can pay its mana cost (casters without a ManaComponent cast for free).
+     * Emits 'spellCast' with { caster, spell } on success.
+     * @param {import('./Entity.js').Entity} caster - Entity with a SpellbookComponent.
+     */
+    castSpell(caster) {
+        const spellbook = caster.getComponent('SpellbookComponent');
+        const spell = spells.get(spellbook?.current());
+        if (!spell || (spellbook.cooldowns[spell.name] ?? 0) > 0) return;
+
+        const manaComp = caster.getComponent('ManaComponent');
+        if (manaComp) {
+            if (manaComp.mana < spell.manaCost) return;
+            manaComp.mana -= spell.manaCost;
+            this._updateManaHud();
+        }
+
+        // read the simulated camera orientation, not its render-time matrix, so casts replay exactly
+        const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        const position = caster.getComponent('PositionComponent').position.clone().addScaledVector(direction, 0.6);
+        this.spawnProjectile({ position, direction, spell, caster });
+        spellbook.cooldowns[spell.name] = spell.cooldown;
+        this.events.emit('spellCast', { caster, spell });
+    }
+
+    /**
+     * Sizes the HUD mana bar to the player's current mana.
+     */
+    _updateManaHud() {
+        const manaComp = this.player?.getComponent('ManaComponent');
+        if (this.manaBarEl && manaComp) this.manaBarEl.style.width = `${(manaComp.mana / manaComp.maxMana) * 100}%`;
+    }
+
+    /**
+     * Shows the player's selected spell and its mana cost in the HUD.
+     */
+    _updateSpellHud() {
+        const spell = spells.get(this.player?.getComponent('SpellbookComponent')?.current());
+        if (this.spellEl && spell) this.spellEl.textContent = `Spell: ${spell.label} (${spell.manaCost} mana)`;
     }
 
     /**
      * Handles discrete game actions dispatched by GameEngine (via the actionMap).
-     * - 'pause' start → toggles isPaused.
-     * - 'attack' start → spawns a fireball along the camera's look direction.
+     * - 'attack' start → casts the selected spell along the camera's look direction.
+     * - 'prevSpell' / 'nextSpell' start → cycles the selected spell.
+     * - 'selectSpellN' start → selects the spell in slot N (1-based).
      * @param {import('./Action.js').Action} action
      */
     sDoAction(action) {
-
-        if (action.name === 'pause' && action.type === 'start') {
-            this.isPaused = !this.isPaused;
-        }
         const playerHp = this.player?.getComponent('HealthComponent')?.hp ?? 0;
-        if (action.name === 'attack' && action.type === 'start' && this.spawnCooldown <= 0 && playerHp > 0) {
-            const direction = new THREE.Vector3();
-            this.camera.getWorldDirection(direction);
-            const position = this.camera.position.clone().addScaledVector(direction, 0.6);
-            this.spawnFireball({position, direction});
-            this.spawnCooldown = 0.7;
+        if (action.name === 'attack' && action.type === 'start' && playerHp > 0) {
+            this.castSpell(this.player);
         }
+
+        const spellbook = this.player?.getComponent('SpellbookComponent');
+        if (!spellbook || action.type !== 'start') return;
+        if (action.name === 'prevSpell') spellbook.cycle(-1);
+        if (action.name === 'nextSpell') spellbook.cycle(1);
+        if (action.name.startsWith('selectSpell')) spellbook.select(Number(action.name.slice('selectSpell'.length)) - 1);
+        this._updateSpellHud();
     }
 }
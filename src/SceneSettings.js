@@ -0,0 +1,74 @@
+import { SceneOverlay } from './SceneOverlay.js';
+import { settings } from './Settings.js';
+
+// Colors
+const COLOR_HEADER = 0x4466cc;
+const COLOR_LABEL  = 0x7788aa;
+
+// Layout: one row per setting, followed by Reset and Back
+const TOP     = 2.3;
+const SPACING = 0.38;
+
+/**
+ * Settings screen, pushed as an overlay from the main menu and the pause menu.
+ * Lists every setting (see Settings.js) with its value; left/right (or Enter) changes the
+ * selected one. Changes apply to the game at once and are saved immediately.
+ */
+export class SceneSettings extends SceneOverlay {
+
+    init() {
+        super.init();
+
+        this.registerAction('KeyA',       'left');
+        this.registerAction('ArrowLeft',  'left');
+        this.registerAction('PadLeft',    'left');
+        this.registerAction('KeyD',       'right');
+        this.registerAction('ArrowRight', 'right');
+        this.registerAction('PadRight',   'right');
+
+        this.createText('Settings', { y: 3.0, size: 0.45, color: COLOR_HEADER, emissive: 0x2244aa, emissiveIntensity: 0.4 });
+        this.createText('Left / Right: change  -  Esc / B: back', { y: -2.15, size: 0.16, color: COLOR_LABEL, emissive: 0x112233, emissiveIntensity: 0.15 });
+
+        const defs = settings.definitions();
+        defs.forEach((def, i) => {
+            const option = this.addOption(this._settingText(def), () => this._change(option, 1), { y: TOP - i * SPACING, size: 0.2 });
+            option.setting = def;
+        });
+        const bottom = TOP - defs.length * SPACING - 0.1;
+        this.addOption('Reset Defaults', () => this._resetSettings(), { x: -1.5, y: bottom });
+        this.addOption('Back', () => this.close(), { x: 1.5, y: bottom });
+    }
+
+    sDoAction(action) {
+        const option = this.options[this.selectedOption];
+        if (action.type === 'start' && option?.setting && (action.name === 'left' || action.name === 'right')) {
+            this._change(option, action.name === 'right' ? 1 : -1);
+        }
+        super.sDoAction(action);
+    }
+
+    _change(option, direction) {
+        settings.step(option.setting.name, direction);
+        settings.save();
+        this.setText(option, this._settingText(option.setting));
+    }
+
+    _settingText(def) {
+        const value = settings.get(def.name);
+        let text;
+        if (def.type === 'boolean') text = value ? 'On' : 'Off';
+        else if (def.type === 'choice') text = value[0].toUpperCase() + value.slice(1);
+        else if (def.format === 'percent') text = `${Math.round(value * 100)}%`;
+        else if (def.format === 'multiplier') text = `${value}x`;
+        else text = String(value);
+        return `${def.label}:  ${text}${def.reload ? '  (after reload)' : ''}`;
+    }
+
+    _resetSettings() {
+        settings.reset();
+        settings.save();
+        for (const option of this.options) {
+            if (option.setting) this.setText(option, this._settingText(option.setting));
+        }
+    }
+}
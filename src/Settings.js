@@ -0,0 +1,173 @@
+import { EventBus } from './EventBus.js';
+
+/**
+ * Player settings: graphics, camera and audio options, persisted in localStorage.
+ *
+ * Every setting is declared in SETTINGS with its type and range. The shared `settings`
+ * instance is loaded at startup; set() validates a value and emits a 'change' event, which
+ * GameEngine uses to apply the new value to the renderer, the audio mixer and every scene in
+ * the stack straight away. Settings marked `reload` (antialiasing) only take effect the next
+ * time the page loads, as they are fixed when the renderer is created.
+ */
+
+const STORAGE_KEY = 'wizardArena.settings';
+
+// every setting in display order: numbers step between min and max, choices cycle through options;
+// format says how menus show a number ('percent' of 1, or a 'multiplier')
+const SETTINGS = [
+    { name: 'sensitivity',   label: 'Mouse Sensitivity', type: 'number',  default: 1,    min: 0.25, max: 3,   step: 0.25, format: 'multiplier' },
+    { name: 'invertY',       label: 'Invert Y',          type: 'boolean', default: false },
+    { name: 'fov',           label: 'Field of View',     type: 'number',  default: 75,   min: 50,   max: 110, step: 5 },
+    { name: 'shadowQuality', label: 'Shadows',           type: 'choice',  default: 'medium', options: ['off', 'low', 'medium', 'high'] },
+    { name: 'renderScale',   label: 'Render Scale',      type: 'number',  default: 1,    min: 0.5,  max: 2,   step: 0.25, format: 'percent' },
+    { name: 'antialias',     label: 'Antialiasing',      type: 'boolean', default: true, reload: true },
+    { name: 'fog',           label: 'Fog',               type: 'boolean', default: true },
+    { name: 'masterVolume',  label: 'Master Volume',     type: 'number',  default: 0.8,  min: 0,    max: 1,   step: 0.1, format: 'percent' },
+    { name: 'effectsVolume', label: 'Effects Volume',    type: 'number',  default: 1,    min: 0,    max: 1,   step: 0.1, format: 'percent' },
+    { name: 'musicVolume',   label: 'Music Volume',      type: 'number',  default: 0.5,  min: 0,    max: 1,   step: 0.1, format: 'percent' },
+];
+
+// shadow map resolution relative to what the level asks for, per shadow quality; 0 disables shadows
+export const SHADOW_MAP_SCALE = { off: 0, low: 0.5, medium: 1, high: 2 };
+
+/**
+ * A set of setting values that can be edited, observed and persisted.
+ */
+export class Settings {
+    /**
+     * @param {Storage|null} [storage] - Where settings are persisted; defaults to window.localStorage when available.
+     */
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.values = {};            // setting name -> value
+        this.events = new EventBus(); // emits 'change' with { name, value }
+        this.reset();
+    }
+
+    /**
+     * Returns every setting's declaration in display order.
+     * @returns {Object[]} Copies of the SETTINGS entries.
+     */
+    definitions() {
+        return SETTINGS.map(def => ({ ...def }));
+    }
+
+    /**
+     * Returns the current value of a setting.
+     * @param {string} name
+     * @returns {number|boolean|string}
+     */
+    get(name) {
+        if (!(name in this.values)) throw new Error(`Settings: unknown setting "${name}"`);
+        return this.values[name];
+    }
+
+    /**
+     * Changes a setting and emits 'change' if its value changed. Numbers are clamped to the
+     * setting's range and snapped to its step.
+     * @param {string} name
+     * @param {number|boolean|string} value
+     * @throws {Error} If the setting is unknown or the value has the wrong type.
+     */
+    set(name, value) {
+        const normalised = this._normalise(this._definition(name), value);
+        if (this.values[name] === normalised) return;
+        this.values[name] = normalised;
+        this.events.emit('change', { name, value: normalised });
+    }
+
+    /**
+     * Moves a setting one step: numbers by their step, booleans toggle and choices cycle.
+     * @param {string} name
+     * @param {number} [direction=1] - 1 for up / next, -1 for down / previous.
+     */
+    step(name, direction = 1) {
+        const def = this._definition(name);
+        const value = this.values[name];
+        if (def.type === 'boolean') this.set(name, !value);
+        if (def.type === 'number') this.set(name, value + def.step * direction);
+        if (def.type === 'choice') {
+            const i = def.options.indexOf(value);
+            this.set(name, def.options[(i + direction + def.options.length) % def.options.length]);
+        }
+    }
+
+    /**
+     * Subscribes to setting changes.
+     * @param {function({name: string, value: *}): void} handler
+     * @returns {function(): void} Call to unsubscribe.
+     */
+    onChange(handler) {
+        return this.events.on('change', handler);
+    }
+
+    /**
+     * Restores every default, emitting 'change' for each setting that changes (does not save them).
+     */
+    reset() {
+        for (const def of SETTINGS) this.set(def.name, def.default);
+    }
+
+    /**
+     * Loads saved settings from storage. Settings missing from the saved data keep their
+     * current value; unknown settings and invalid values are ignored.
+     */
+    load() {
+        let saved;
+        try {
+            saved = JSON.parse(this.storage?.getItem(STORAGE_KEY) ?? 'null');
+        } catch (err) {
+            console.warn(`Settings: ignoring unreadable saved settings (${err.message})`);
+            return;
+        }
+        if (saved === null || typeof saved !== 'object') return;
+
+        for (const def of SETTINGS) {
+            if (!(def.name in saved)) continue;
+            try {
+                this.set(def.name, saved[def.name]);
+            } catch (err) {
+                console.warn(`Settings: ignoring saved value (${err.message})`);
+            }
+        }
+    }
+
+    /**
+     * Writes the settings to storage.
+     */
+    save() {
+        this.storage?.setItem(STORAGE_KEY, JSON.stringify(this.values));
+    }
+
+    _definition(name) {
+        const def = SETTINGS.find(d => d.name === name);
+        if (!def) throw new Error(`Settings: unknown setting "${name}"`);
+        return def;
+    }
+
+    _normalise(def, value) {
+        const fail = () => { throw new Error(`Settings: "${def.name}" must be ${this._expected(def)}, got ${JSON.stringify(value)}`); };
+        if (def.type === 'boolean') {
+            if (typeof value !== 'boolean') fail();
+            return value;
+        }
+        if (def.type === 'choice') {
+            if (!def.options.includes(value)) fail();
+            return value;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) fail();
+        const clamped = Math.min(def.max, Math.max(def.min, value));
+        // snap to the step grid, rounding away floating-point drift from repeated steps
+        return Number((def.min + Math.round((clamped - def.min) / def.step) * def.step).toFixed(4));
+    }
+
+    _expected(def) {
+        if (def.type === 'boolean') return 'true or false';
+        if (def.type === 'choice') return `one of ${def.options.join(', ')}`;
+        return `a number from ${def.min} to ${def.max}`;
+    }
+}
+
+/** Shared settings, loaded from localStorage. */
+export const settings = new Settings();
+settings.load();
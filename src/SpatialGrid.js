@@ -0,0 +1,149 @@
+import { getOBB, getOBBBounds } from './utils.js';
+
+const DEFAULT_CELL_SIZE = 4;
+
+// cell coordinates are offset so (cx, cz) packs into a single non-negative number key
+const CELL_OFFSET = 32768;
+
+/**
+ * Uniform-grid broadphase for the collision system.
+ *
+ * Entities are bucketed by the XZ footprint of their OBB's bounding box. Only pairs that
+ * share a cell, whose collision layers interact, and whose bounding boxes overlap are handed
+ * to the narrowphase (SAT), and static-vs-static pairs are never produced.
+ *
+ * An entity is static when it has no VelocityComponent. Static OBBs and grid cells are
+ * built once and cached; static entities are assumed not to move after their first frame.
+ */
+export class SpatialGrid {
+    /**
+     * @param {number} [cellSize=4] - Edge length of a grid cell in world units.
+     */
+    constructor(cellSize = DEFAULT_CELL_SIZE) {
+        this.cellSize = cellSize;
+
+        this._staticOBBs   = new Map(); // Entity -> OBB
+        this._staticBounds = new Map(); // Entity -> THREE.Box3
+        this._staticCells  = new Map(); // cell key -> Entity[]
+    }
+
+    /**
+     * Returns true if the entity never moves (has no VelocityComponent).
+     * @param {import('./Entity.js').Entity} entity
+     * @returns {boolean}
+     */
+    isStatic(entity) {
+        return !entity.hasComponent('VelocityComponent');
+    }
+
+    /**
+     * Returns the entity's OBB. Static entities reuse a cached box; dynamic entities get a
+     * fresh one built from their current position.
+     * @param {import('./Entity.js').Entity} entity - Must have PositionComponent and CollisionComponent.
+     * @returns {import('three/examples/jsm/math/OBB.js').OBB}
+     */
+    getOBB(entity) {
+        return this._staticOBBs.get(entity) ?? getOBB(entity);
+    }
+
+    /**
+     * Returns every candidate collision pair among the given entities whose layers and masks
+     * allow them to interact, ordered as a naive
+     * i < j double loop over the array would visit them.
+     * @param {import('./Entity.js').Entity[]} entities - Active entities with PositionComponent and CollisionComponent.
+     * @returns {Array<[import('./Entity.js').Entity, import('./Entity.js').Entity]>}
+     */
+    getPairs(entities) {
+        const index = new Map();
+        let staticCount = 0;
+        for (let i = 0; i < entities.length; i++) {
+            const e = entities[i];
+            index.set(e, i);
+            if (!this.isStatic(e)) continue;
+            staticCount++;
+            if (!this._staticBounds.has(e)) this._addStatic(e);
+        }
+        // a static entity died (or changed) since the cache was built — rebuild it
+        if (this._staticBounds.size !== staticCount) this._rebuildStatic(entities);
+
+        const dynamicBounds = new Map();
+        const dynamicCells  = new Map();
+        const seen  = new Set();
+        const pairs = [];
+
+        const tryPair = (a, b, boundsA, boundsB) => {
+            const key = a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            if (!a.getComponent('CollisionComponent').interactsWith(b.getComponent('CollisionComponent'))) return;
+            if (!boundsA.intersectsBox(boundsB)) return;
+            pairs.push(index.get(a) < index.get(b) ? [a, b] : [b, a]);
+        };
+
+        for (const e of entities) {
+            if (this.isStatic(e)) continue;
+            const bounds = getOBBBounds(getOBB(e));
+            dynamicBounds.set(e, bounds);
+
+            this._forEachCell(bounds, (key) => {
+                for (const other of this._staticCells.get(key) ?? []) {
+                    tryPair(e, other, bounds, this._staticBounds.get(other));
+                }
+                const bucket = dynamicCells.get(key);
+                if (!bucket) {
+                    dynamicCells.set(key, [e]);
+                    return;
+                }
+                for (const other of bucket) tryPair(e, other, bounds, dynamicBounds.get(other));
+                bucket.push(e);
+            });
+        }
+
+        pairs.sort((p, q) => (index.get(p[0]) - index.get(q[0])) || (index.get(p[1]) - index.get(q[1])));
+        return pairs;
+    }
+
+    /**
+     * Drops all cached static data. Call after moving or reshaping static geometry.
+     */
+    clear() {
+        this._staticOBBs.clear();
+        this._staticBounds.clear();
+        this._staticCells.clear();
+    }
+
+    _addStatic(entity) {
+        const obb = getOBB(entity);
+        const bounds = getOBBBounds(obb);
+        this._staticOBBs.set(entity, obb);
+        this._staticBounds.set(entity, bounds);
+        this._forEachCell(bounds, (key) => {
+            const bucket = this._staticCells.get(key);
+            if (bucket) bucket.push(entity);
+            else this._staticCells.set(key, [entity]);
+        });
+    }
+
+    _rebuildStatic(entities) {
+        this.clear();
+        for (const e of entities) {
+            if (this.isStatic(e)) this._addStatic(e);
+        }
+    }
+
+    /**
+     * Calls fn with the key of every cell the box's XZ footprint touches.
+     * @param {THREE.Box3} bounds
+     * @param {function(number): void} fn
+     */
+    _forEachCell(bounds, fn) {
+        const s = this.cellSize;
+        const minX = Math.floor(bounds.min.x / s), maxX = Math.floor(bounds.max.x / s);
+        const minZ = Math.floor(bounds.min.z / s), maxZ = Math.floor(bounds.max.z / s);
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                fn((cx + CELL_OFFSET) * 65536 + (cz + CELL_OFFSET));
+            }
+        }
+    }
+}
@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import spellsFile from './spells.json' assert { type: 'json' };
+
+// on-hit effects a spell can declare, with their parameters and defaults
+const EFFECT_PARAMS = {
+    explode: { radius: 3, damage: 25 },  // splash damage to every target within radius of the impact
+    chain:   { jumps: 3, range: 6, falloff: 0.7 }, // arcs to the nearest unhit target, scaling damage each jump
+    freeze:  { duration: 2 },            // stops the target's movement and animation
+    pierce:  { hits: 3 },                // passes through up to `hits` targets before dissolving
+};
+
+/**
+ * Registry of spell definitions, keyed by name.
+ *
+ * A spell definition describes the projectile a cast launches and what happens when it hits:
+ *
+ * {
+ *   "name": "frostbolt", "label": "Frost Bolt", "model": null,
+ *   "speed": 20, "radius": 0.25, "lifetime": 1,
+ *   "damage": 20, "cooldown": 0.5, "manaCost": 8,
+ *   "color": "#66ccff",
+ *   "light": { "color": "#44aaff", "intensity": 3, "distance": 8 },
+ *   "onHit": { "type": "freeze", "duration": 2.5 }
+ * }
+ *
+ * onHit is optional; its type is one of explode, chain, freeze or pierce (see EFFECT_PARAMS).
+ * model names a geometry in assets.json; without it the projectile is a glowing sphere.
+ * sound names an audio clip looped by the projectile while it flies; it is optional.
+ * The built-in spells live in spells.json and are registered on the shared `spells` instance.
+ */
+export class SpellRegistry {
+    constructor() {
+        this.spells = {};
+        this.order = []; // registration order, used for number-key bindings and cycling
+    }
+
+    /**
+     * Validates a spell definition, fills in defaults, and stores it under its name.
+     * @param {Object} def - Raw spell definition (see class docs).
+     * @returns {Object} The normalised definition.
+     * @throws {Error} If a field is missing or has the wrong type.
+     */
+    register(def) {
+        const name = def?.name;
+        if (typeof name !== 'string' || !name) {
+            throw new Error(`Spell: "name" must be a non-empty string, got ${JSON.stringify(name)}`);
+        }
+        const fail = (field, message) => { throw new Error(`Spell "${name}": "${field}" ${message}`); };
+
+        const number = (value, field, fallback, min = 0) => {
+            if (value === undefined && fallback !== undefined) return fallback;
+            if (typeof value !== 'number' || !Number.isFinite(value)) fail(field, `must be a number, got ${JSON.stringify(value)}`);
+            if (value < min) fail(field, `must be at least ${min}, got ${value}`);
+            return value;
+        };
+        const color = (value, field, fallback) => {
+            if (value === undefined) return fallback;
+            if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+                fail(field, `must be a color string like "#ff8800", got ${JSON.stringify(value)}`);
+            }
+            return new THREE.Color(value).getHex();
+        };
+
+        let onHit = null;
+        if (def.onHit != null) {
+            const defaults = EFFECT_PARAMS[def.onHit.type];
+            if (!defaults) {
+                fail('onHit.type', `must be one of ${Object.keys(EFFECT_PARAMS).join(', ')}, got ${JSON.stringify(def.onHit.type)}`);
+            }
+            onHit = { type: def.onHit.type };
+            for (const [param, fallback] of Object.entries(defaults)) {
+                onHit[param] = number(def.onHit[param], `onHit.${param}`, fallback);
+            }
+        }
+
+        const spellColor = color(def.color, 'color', 0xffffff);
+        const spell = {
+            name,
+            label:    typeof def.label === 'string' ? def.label : name,
+            model:    typeof def.model === 'string' ? def.model : null,
+            sound:    typeof def.sound === 'string' ? def.sound : null,
+            speed:    number(def.speed, 'speed', undefined, 0.01),
+            radius:   number(def.radius, 'radius', undefined, 0.01),
+            lifetime: number(def.lifetime, 'lifetime', undefined, 0.01),
+            damage:   number(def.damage, 'damage', 0),
+            cooldown: number(def.cooldown, 'cooldown', 0),
+            manaCost: number(def.manaCost, 'manaCost', 0),
+            color:    spellColor,
+            light: {
+                color:     color(def.light?.color, 'light.color', spellColor),
+                intensity: number(def.light?.intensity, 'light.intensity', 3),
+                distance:  number(def.light?.distance, 'light.distance', 8),
+            },
+            onHit,
+        };
+
+        if (!this.spells[name]) this.order.push(name);
+        this.spells[name] = spell;
+        return spell;
+    }
+
+    /**
+     * Returns the spell registered under name, or null if not found.
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    get(name) { return this.spells[name] ?? null; }
+
+    /**
+     * Returns every registered spell name in registration order.
+     * @returns {string[]}
+     */
+    names() { return [...this.order]; }
+}
+
+/** Shared registry pre-loaded with the built-in spells from spells.json. */
+export const spells = new SpellRegistry();
+for (const def of spellsFile) spells.register(def);
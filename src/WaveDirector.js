@@ -0,0 +1,106 @@
+/**
+ * Runs a wave script (see WaveLoader.js): starts waves, spawns their groups on schedule,
+ * and waits for every enemy of a wave to die before the intermission to the next.
+ *
+ * Emits on the scene's event bus:
+ * - 'waveStart': { wave, enemies } — wave is 1-based, enemies is how many the wave will spawn.
+ * - 'waveClear': { wave }
+ *
+ * The director never touches the scene graph; spawning is delegated to a callback, so it
+ * runs headlessly.
+ */
+export class WaveDirector {
+    /**
+     * @param {Object} script - A wave script returned by parseWaves().
+     * @param {import('./EventBus.js').EventBus} events - Bus to emit wave events on.
+     * @param {function(string, Object): (import('./Entity.js').Entity|null)} spawn -
+     *        Called with (enemy, region) for every scheduled spawn; enemy is an archetype name
+     *        or "random". Returns the spawned entity, which the wave waits on until it is destroyed.
+     */
+    constructor(script, events, spawn) {
+        this.script = script;
+        this.events = events;
+        this.spawn  = spawn;
+
+        this.wave  = 0;               // 1-based number of the current (or last) wave, 0 before the first
+        this.state = 'intermission';  // 'intermission' | 'active' | 'done'
+        this.timer = script.startDelay; // seconds left in the intermission
+        this.waveTime = 0;            // seconds since the current wave started
+        this.pending  = [];           // scheduled spawns of the current wave: { at, enemy, region }, sorted by at
+        this.alive    = new Set();    // spawned enemies of the current wave that are still active
+    }
+
+    /**
+     * Advances timers, starts the next wave when the intermission ends, performs due spawns,
+     * and clears the wave once nothing is pending and every spawned enemy is gone.
+     * @param {number} delta - Elapsed seconds since last frame.
+     */
+    update(delta) {
+        if (this.state === 'done') return;
+
+        if (this.state === 'intermission') {
+            this.timer -= delta;
+            if (this.timer > 0) return;
+            this._startWave(this.wave + 1);
+        }
+
+        this.waveTime += delta;
+        while (this.pending.length > 0 && this.pending[0].at <= this.waveTime) {
+            const { enemy, region } = this.pending.shift();
+            const entity = this.spawn(enemy, region);
+            if (entity) this.alive.add(entity);
+        }
+
+        for (const e of this.alive) {
+            if (!e.isActive()) this.alive.delete(e);
+        }
+        if (this.pending.length > 0 || this.alive.size > 0) return;
+
+        this.events.emit('waveClear', { wave: this.wave });
+        const def = this.getWaveDefinition(this.wave + 1);
+        if (!def) {
+            this.state = 'done';
+            return;
+        }
+        this.state = 'intermission';
+        this.timer = this.getWaveDefinition(this.wave).intermission ?? this.script.intermission;
+    }
+
+    /**
+     * Returns the definition of the given wave, or null if the script has no such wave.
+     * Waves past the end of the script repeat the last one, with group counts grown by
+     * endless.countGrowth per repeat.
+     * @param {number} wave - 1-based wave number.
+     * @returns {Object|null}
+     */
+    getWaveDefinition(wave) {
+        const { waves, endless } = this.script;
+        if (wave <= waves.length) return waves[wave - 1];
+        if (!endless) return null;
+
+        const last = waves[waves.length - 1];
+        const repeats = wave - waves.length;
+        return {
+            intermission: last.intermission,
+            groups: last.groups.map(g => ({
+                ...g,
+                count: Math.max(g.count, Math.min(endless.maxCount, Math.round(g.count + repeats * endless.countGrowth))),
+            })),
+        };
+    }
+
+    _startWave(wave) {
+        const def = this.getWaveDefinition(wave);
+        this.wave = wave;
+        this.state = 'active';
+        this.waveTime = 0;
+        this.pending = [];
+        for (const g of def.groups) {
+            for (let i = 0; i < g.count; i++) {
+                this.pending.push({ at: g.delay + i * g.interval, enemy: g.enemy, region: g.region });
+            }
+        }
+        this.pending.sort((a, b) => a.at - b.at);
+        this.events.emit('waveStart', { wave, enemies: this.pending.length });
+    }
+}
@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import { enemies } from './EnemyRegistry.js';
+
+/**
+ * Wave script loading and validation.
+ *
+ * A wave script lists the waves of a run, what each one spawns, where, and when.
+ *
+ * {
+ *   "name": "Default",
+ *   "startDelay": 2,          // seconds before the first wave
+ *   "intermission": 6,        // seconds between a wave being cleared and the next one starting
+ *   "regions": {
+ *     "nearPlayer": { "type": "aroundPlayer", "radius": 12 },
+ *     "north":      { "type": "circle", "center": [0, 0, -18], "radius": 2 }
+ *   },
+ *   "waves": [
+ *     { "intermission": 8,    // optional per-wave override
+ *       "groups": [ { "enemy": "walker", "count": 3, "region": "nearPlayer", "delay": 0, "interval": 0.4 } ] }
+ *   ],
+ *   "endless": { "countGrowth": 1, "maxCount": 16 }
+ * }
+ *
+ * A group spawns `count` enemies of one archetype (see EnemyRegistry.js), or archetypes
+ * picked by spawn weight when enemy is "random". The first spawns `delay` seconds after the
+ * wave starts and the rest follow every `interval` seconds. Regions are either a random point
+ * on a circle of `radius` around the player ("aroundPlayer") or a random point inside a
+ * circle on the floor ("circle"; radius 0 is a fixed point). Spawn points are always pulled
+ * back inside the arena.
+ *
+ * After the last wave, it is repeated with every group's count raised by
+ * endless.countGrowth per repeat, up to endless.maxCount. Without "endless", no more waves
+ * start once the last one is cleared.
+ */
+
+// region types a wave script can declare
+const REGION_TYPES = ['aroundPlayer', 'circle'];
+
+/**
+ * Fetches a wave script and returns the validated description.
+ * @param {string} path - URL or path to the wave script JSON file.
+ * @returns {Promise<Object>} Resolves with the output of parseWaves().
+ */
+export async function loadWaveFile(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`Waves "${path}": request failed with status ${response.status}`);
+    }
+
+    let json;
+    try {
+        json = await response.json();
+    } catch (err) {
+        throw new Error(`Waves "${path}": file is not valid JSON (${err.message})`);
+    }
+    return parseWaves(json, path);
+}
+
+/**
+ * Validates a raw wave script and converts it into a normalised description with
+ * defaults filled in and region centres as THREE.Vector3.
+ * @param {Object} json     - Parsed contents of a wave script.
+ * @param {string} [source='waves'] - Name used to prefix error messages.
+ * @returns {Object} The normalised wave script.
+ * @throws {Error} If any field is missing, has the wrong type, or names an unknown enemy or region.
+ */
+export function parseWaves(json, source = 'waves') {
+    const fail = (field, message) => {
+        throw new Error(`Waves "${source}": "${field}" ${message}`);
+    };
+
+    const object = (value, field) => {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+            fail(field, `must be an object, got ${JSON.stringify(value)}`);
+        }
+        return value;
+    };
+
+    const number = (value, field, fallback, { min = 0, integer = false } = {}) => {
+        if (value === undefined) {
+            if (fallback === undefined) fail(field, 'is required');
+            return fallback;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            fail(field, `must be a number, got ${JSON.stringify(value)}`);
+        }
+        if (integer && !Number.isInteger(value)) fail(field, `must be an integer, got ${value}`);
+        if (value < min) fail(field, `must be at least ${min}, got ${value}`);
+        return value;
+    };
+
+    const array = (value, field) => {
+        if (!Array.isArray(value) || value.length === 0) fail(field, `must be a non-empty array, got ${JSON.stringify(value)}`);
+        return value;
+    };
+
+    object(json, 'root');
+
+    const regions = {};
+    for (const [name, r] of Object.entries(object(json.regions ?? {}, 'regions'))) {
+        const field = `regions.${name}`;
+        object(r, field);
+        if (!REGION_TYPES.includes(r.type)) {
+            fail(`${field}.type`, `must be one of ${REGION_TYPES.join(', ')}, got ${JSON.stringify(r.type)}`);
+        }
+        let center = null;
+        if (r.type === 'circle') {
+            const c = r.center;
+            if (!Array.isArray(c) || c.length !== 3 || c.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+                fail(`${field}.center`, `must be an array of 3 numbers, got ${JSON.stringify(c)}`);
+            }
+            center = new THREE.Vector3(...c);
+        }
+        regions[name] = {
+            name,
+            type:   r.type,
+            center,
+            radius: number(r.radius, `${field}.radius`, r.type === 'circle' ? 0 : undefined),
+        };
+    }
+
+    const waves = array(json.waves, 'waves').map((w, i) => {
+        const field = `waves[${i}]`;
+        object(w, field);
+        return {
+            intermission: w.intermission === undefined ? null : number(w.intermission, `${field}.intermission`),
+            groups: array(w.groups, `${field}.groups`).map((g, j) => {
+                const gField = `${field}.groups[${j}]`;
+                object(g, gField);
+                if (g.enemy !== 'random' && !enemies.get(g.enemy)) {
+                    fail(`${gField}.enemy`, `must be "random" or one of ${enemies.names().join(', ')}, got ${JSON.stringify(g.enemy)}`);
+                }
+                if (!regions[g.region]) {
+                    fail(`${gField}.region`, `must name a region in "regions", got ${JSON.stringify(g.region)}`);
+                }
+                return {
+                    enemy:    g.enemy,
+                    count:    number(g.count, `${gField}.count`, undefined, { min: 1, integer: true }),
+                    region:   regions[g.region],
+                    delay:    number(g.delay, `${gField}.delay`, 0),
+                    interval: number(g.interval, `${gField}.interval`, 0),
+                };
+            }),
+        };
+    });
+
+    let endless = null;
+    if (json.endless != null) {
+        const e = object(json.endless, 'endless');
+        endless = {
+            countGrowth: number(e.countGrowth, 'endless.countGrowth', 1),
+            maxCount:    number(e.maxCount, 'endless.maxCount', Infinity, { min: 1 }),
+        };
+    }
+
+    return {
+        name:         typeof json.name === 'string' ? json.name : source,
+        startDelay:   number(json.startDelay, 'startDelay', 0),
+        intermission: number(json.intermission, 'intermission', 5),
+        regions,
+        waves,
+        endless,
+    };
+}
+
+/**
+ * Picks a random floor position inside a spawn region, pulled back inside the arena.
+ * @param {Object}        region       - A region from a parsed wave script.
+ * @param {THREE.Vector3} playerPos    - Current player position (used by "aroundPlayer").
+ * @param {number}        arenaRadius  - Spawn points further than this from the centre are projected back onto it.
+ * @param {function(): number} [random=Math.random] - Source of uniform numbers in [0, 1).
+ * @returns {THREE.Vector3} Spawn point with y = 0.
+ */
+export function pickSpawnPoint(region, playerPos, arenaRadius, random = Math.random) {
+    const angle = random() * Math.PI * 2;
+    const point = new THREE.Vector3();
+    if (region.type === 'aroundPlayer') {
+        point.set(playerPos.x + Math.cos(angle) * region.radius, 0, playerPos.z + Math.sin(angle) * region.radius);
+    } else {
+        // sqrt keeps points uniformly spread over the disc rather than bunched at its centre
+        const dist = Math.sqrt(random()) * region.radius;
+        point.set(region.center.x + Math.cos(angle) * dist, 0, region.center.z + Math.sin(angle) * dist);
+    }
+
+    // Clamp to arena circle: if outside, project back onto the boundary
+    const distFromCenter = Math.hypot(point.x, point.z);
+    if (distFromCenter > arenaRadius) point.multiplyScalar(arenaRadius / distFromCenter);
+    return point;
+}
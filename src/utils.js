@@ -15,6 +15,25 @@ export function getOBB(entity) {
     return new OBB(pos.clone(), col.half.clone(), mat3);
 }
 
+/**
+ * Computes the world-space axis-aligned bounds that enclose an OBB.
+ * @param {OBB}        obb
+ * @param {THREE.Box3} [target=new THREE.Box3()] - Box to write the result into.
+ * @returns {THREE.Box3} The enclosing AABB.
+ */
+export function getOBBBounds(obb, target = new THREE.Box3()) {
+    const e = obb.rotation.elements;
+    const h = obb.halfSize;
+    const ext = new THREE.Vector3(
+        Math.abs(e[0]) * h.x + Math.abs(e[3]) * h.y + Math.abs(e[6]) * h.z,
+        Math.abs(e[1]) * h.x + Math.abs(e[4]) * h.y + Math.abs(e[7]) * h.z,
+        Math.abs(e[2]) * h.x + Math.abs(e[5]) * h.y + Math.abs(e[8]) * h.z,
+    );
+    target.min.subVectors(obb.center, ext);
+    target.max.addVectors(obb.center, ext);
+    return target;
+}
+
 /**
  * Extracts the three local axes of an OBB from its Matrix3 rotation (column-major storage).
  * @param {OBB} obb
@@ -82,3 +101,28 @@ export function satOBB(obbA, obbB) {
     }
     return mtvAxis.multiplyScalar(minOverlap);
 }
+
+/**
+ * Disposes the GPU resources (geometries, materials and their textures, light shadow maps)
+ * of an object and all its descendants, and stops any sound playing in it.
+ * @param {THREE.Object3D} root
+ * @param {function(Object): boolean} [isShared] - Returns true for resources owned elsewhere
+ *        (e.g. Assets.isShared), which are left alone.
+ */
+export function disposeObject(root, isShared = () => false) {
+    const dispose = resource => { if (!isShared(resource)) resource.dispose(); };
+    root.traverse(obj => {
+        if (obj.geometry) dispose(obj.geometry);
+        for (const material of [obj.material ?? []].flat()) {
+            for (const value of Object.values(material)) {
+                if (value?.isTexture) dispose(value);
+            }
+            dispose(material);
+        }
+        if (obj.isLight) obj.dispose();
+        if (obj instanceof THREE.Audio) {
+            if (obj.isPlaying) obj.stop();
+            obj.disconnect();
+        }
+    });
+}